@@ -0,0 +1,128 @@
+// audio/engine.js
+// Small WebAudio engine: every sound goes  voice -> sfx bus ┐
+//                                  music (music.js) -> music bus ┴-> master -> limiter -> speakers
+// Sounds are synthesized from parameter objects (audio/sounds.json, weapons.json `sound`):
+//   { wave, freq, to (pitch sweep target), attack, dur, vol, noise (0..1 noise mix), lowpass (Hz),
+//     voices (max at once — the oldest is cut when exceeded), pitchVar / volVar (± random share per play) }
+// The AudioContext is created on first use and resumed from user gestures (unlock()), so the browser's
+// autoplay suspension — and iOS interruptions — never leave the game silent.
+//
+//   const audio = createAudioEngine({ settings: loadAudioSettings() });
+//   window.addEventListener('pointerdown', ()=>audio.unlock());
+//   audio.play('explosion');  audio.playSound('shot:smg', WEAPONS.smg.sound);  audio.music.setIntensity(0.7);
+
+import DATA from './sounds.json' with { type: 'json' };
+import { createMusic } from './music.js';
+
+const STORAGE_KEY = 'totalshooter_audio';
+const MAX_VOICES = 32;         // all sound effects at once; new ones are dropped past this
+const NOISE_SECONDS = 1;       // the shared white-noise buffer; sounds play random slices of it
+const RAMP = 0.03;             // s — volume changes glide instead of clicking
+
+export const SOUNDS = Object.freeze(Object.fromEntries(Object.entries(DATA.sounds).map(([id, s])=>[id, Object.freeze({ ...DATA.defaults, ...s })])));
+const withDefaults = sound=>({ ...DATA.defaults, ...sound });
+
+export const DEFAULT_AUDIO_SETTINGS = Object.freeze({ master: 0.8, sfx: 0.8, music: 0.5, muted: false });
+
+export function normalizeAudioSettings(raw){
+  const d = DEFAULT_AUDIO_SETTINGS, r = raw && typeof raw==='object' ? raw : {};
+  const vol = (v, def)=>typeof v==='number' && isFinite(v) ? Math.max(0, Math.min(1, v)) : def;
+  return { master: vol(r.master, d.master), sfx: vol(r.sfx, d.sfx), music: vol(r.music, d.music), muted: typeof r.muted==='boolean' ? r.muted : d.muted };
+}
+export function loadAudioSettings(storage=globalThis.localStorage){
+  try { return normalizeAudioSettings(JSON.parse(storage.getItem(STORAGE_KEY))); } catch(err){ return normalizeAudioSettings(null); }
+}
+export function saveAudioSettings(settings, storage=globalThis.localStorage){
+  try { storage.setItem(STORAGE_KEY, JSON.stringify(settings)); } catch(err){ /* storage unavailable */ }
+}
+
+export function createAudioEngine({ settings = DEFAULT_AUDIO_SETTINGS, AudioContextImpl = globalThis.AudioContext || globalThis.webkitAudioContext } = {}){
+  let ac = null, master = null, sfx = null, musicBus = null, noise = null, music = null;
+  let current = normalizeAudioSettings(settings), intensity = 0, musicOn = false;
+  const voices = new Map(); // sound key -> [{ gain, sources, end }] oldest first
+
+  function ensure(){
+    if(ac || !AudioContextImpl) return ac;
+    ac = new AudioContextImpl();
+    const limiter = ac.createDynamicsCompressor(); // fast, hard compression above -6 dBFS: a limiter, with headroom for many voices summing
+    limiter.threshold.value = -6; limiter.knee.value = 0; limiter.ratio.value = 20; limiter.attack.value = 0.003; limiter.release.value = 0.25;
+    master = ac.createGain(); sfx = ac.createGain(); musicBus = ac.createGain();
+    sfx.connect(master); musicBus.connect(master); master.connect(limiter); limiter.connect(ac.destination);
+    noise = ac.createBuffer(1, Math.ceil(ac.sampleRate*NOISE_SECONDS), ac.sampleRate);
+    const data = noise.getChannelData(0); for(let i=0;i<data.length;i++) data[i] = Math.random()*2-1;
+    music = createMusic(ac, musicBus, noise);
+    music.setIntensity(intensity); syncMusic();
+    applyVolumes(true);
+    return ac;
+  }
+  function applyVolumes(now){
+    if(!ac) return;
+    const set = (node, v)=>{ if(now) node.gain.value = v; else node.gain.setTargetAtTime(v, ac.currentTime, RAMP); };
+    set(master, current.muted ? 0 : current.master); set(sfx, current.sfx); set(musicBus, current.music);
+  }
+  // a bus at zero gain: don't build nodes nobody will hear
+  const sfxSilent = ()=>current.muted || !current.master || !current.sfx;
+  const musicSilent = ()=>current.muted || !current.master || !current.music;
+  function syncMusic(){ if(!music) return; if(musicOn && !musicSilent()) music.start(); else music.stop(); }
+  const running = ()=>!!ac && ac.state==='running';
+  const activeVoices = key=>{
+    if(!voices.has(key)) voices.set(key, []);
+    const list = voices.get(key); while(list.length && list[0].end <= ac.currentTime) list.shift(); // oldest end first
+    return list;
+  };
+  const totalVoices = ()=>{ let n = 0; for(const key of voices.keys()) n += activeVoices(key).length; return n; };
+
+  // one voice of `sound`, keyed for voice limiting
+  function playSound(key, sound){
+    if(sfxSilent()) return;
+    ensure(); if(!running()) return; // suspended (autoplay, tab in background): skip rather than pile up
+    const s = withDefaults(sound), t0 = ac.currentTime;
+    const list = activeVoices(key);
+    while(list.length >= s.voices){ const old = list.shift(); old.gain.gain.cancelScheduledValues(t0); old.gain.gain.setTargetAtTime(0.0001, t0, 0.01); old.sources.forEach(src=>src.stop(t0 + 0.05)); }
+    if(totalVoices() >= MAX_VOICES) return;
+    const pitch = 1 + (Math.random()*2 - 1)*s.pitchVar, vol = s.vol*(1 + (Math.random()*2 - 1)*s.volVar), end = t0 + s.attack + s.dur;
+    const g = ac.createGain();
+    g.gain.setValueAtTime(0.0001, t0);
+    g.gain.exponentialRampToValueAtTime(Math.max(0.0002, vol), t0 + s.attack);
+    g.gain.exponentialRampToValueAtTime(0.0001, end);
+    let out = g;
+    if(s.lowpass){ const f = ac.createBiquadFilter(); f.type = 'lowpass'; f.frequency.value = s.lowpass*pitch; g.connect(f); out = f; }
+    out.connect(sfx);
+    const sources = [];
+    if(s.noise !== 1){
+      const o = ac.createOscillator();
+      o.type = s.wave; o.frequency.setValueAtTime(s.freq*pitch, t0);
+      if(s.to) o.frequency.exponentialRampToValueAtTime(s.to*pitch, end);
+      const og = ac.createGain(); og.gain.value = 1 - s.noise;
+      o.connect(og); og.connect(g); o.start(t0); o.stop(end + 0.02); sources.push(o);
+    }
+    if(s.noise){
+      const src = ac.createBufferSource(); src.buffer = noise; src.playbackRate.value = pitch;
+      const ng = ac.createGain(); ng.gain.value = s.noise;
+      src.connect(ng); ng.connect(g);
+      const len = Math.min(NOISE_SECONDS, end - t0 + 0.02);
+      src.start(t0, Math.random()*Math.max(0, NOISE_SECONDS - len*pitch), len); sources.push(src);
+    }
+    list.push({ gain: g, sources, end });
+  }
+
+  return {
+    // call from user gestures (and when the tab comes back): creates/resumes the context
+    unlock(){ ensure(); if(ac && ac.state!=='running' && ac.state!=='closed') ac.resume().catch(()=>{}); },
+    get state(){ return ac ? ac.state : 'none'; },
+    get settings(){ return current; },
+    setSettings(s){ current = normalizeAudioSettings(s); applyVolumes(false); syncMusic(); },
+
+    play(name){ const s = SOUNDS[name]; if(!s) throw new Error(`unknown sound "${name}"`); playSound(name, s); },
+    playSound,
+
+    // adaptive background music (music.js): intensity 0 (calm) .. 1 (boss)
+    music: {
+      start(){ musicOn = true; syncMusic(); },
+      stop(){ musicOn = false; syncMusic(); },
+      setIntensity(x){ intensity = x; if(music) music.setIntensity(x); }
+    },
+
+    close(){ if(music) music.stop(); if(ac && ac.state!=='closed') ac.close(); ac = null; }
+  };
+}
@@ -0,0 +1,69 @@
+// audio/music.js
+// Procedural background music: a four-bar A-minor loop on a 16-step grid, scheduled slightly ahead of
+// the audio clock. Intensity (0..1) decides tempo and which layers play:
+//   pad + bass always · kick > 0.2 · arpeggio > 0.35 · off-beat hats > 0.45 · snare > 0.6 · 16th hats + octave bass > 0.8
+// musicIntensity(state) maps a game (or online view) to an intensity: waves and crowds push it up,
+// breaks calm it down, a boss maxes it out.
+
+import { enemyDef } from '../enemies/registry.js';
+
+const LOOKAHEAD = 0.12;          // s of notes scheduled ahead of ac.currentTime
+const TIMER_MS = 25;             // scheduler wake-up interval
+const BPM = [96, 140];           // tempo at intensity 0 and 1
+const SMOOTHING = 0.02;          // share of the way intensity moves toward its target per scheduler wake-up
+// chord roots and triads as MIDI notes: Am - F - C - G
+const PROGRESSION = [[57, 60, 64], [53, 57, 60], [48, 52, 55], [55, 59, 62]];
+const ARP = [0, 1, 2, 1, 2, 0, 1, 2]; // chord-tone order for the arpeggio, one per 8th/16th
+
+const hz = midi=>440*Math.pow(2, (midi - 69)/12);
+
+export function musicIntensity(state){
+  if(!state || state.gameOver) return 0;
+  if(state.enemies.some(e=>enemyDef(e.type).boss)) return 1;
+  const base = Math.min(0.55, 0.15 + 0.04*(state.wave - 1));
+  if(state.breakTimer > 0) return base*0.5;
+  return Math.min(1, base + Math.min(0.45, state.enemies.length/50));
+}
+
+// out: the music bus; noise: a white-noise AudioBuffer (shared with the engine) for the drums
+export function createMusic(ac, out, noise){
+  let timer = null, step = 0, nextTime = 0, intensity = 0, target = 0;
+
+  function tone(wave, freq, t, dur, vol, glideTo){
+    const o = ac.createOscillator(), g = ac.createGain();
+    o.type = wave; o.frequency.setValueAtTime(freq, t);
+    if(glideTo) o.frequency.exponentialRampToValueAtTime(glideTo, t + dur);
+    g.gain.setValueAtTime(0.0001, t); g.gain.exponentialRampToValueAtTime(vol, t + 0.01); g.gain.exponentialRampToValueAtTime(0.0001, t + dur);
+    o.connect(g); g.connect(out); o.start(t); o.stop(t + dur + 0.02);
+  }
+  function hit(t, dur, vol, highpass){
+    const src = ac.createBufferSource(), f = ac.createBiquadFilter(), g = ac.createGain();
+    src.buffer = noise; f.type = 'highpass'; f.frequency.value = highpass;
+    g.gain.setValueAtTime(vol, t); g.gain.exponentialRampToValueAtTime(0.0001, t + dur);
+    src.connect(f); f.connect(g); g.connect(out); src.start(t, Math.random()*(noise.duration - dur - 0.01), dur + 0.01);
+  }
+
+  function scheduleStep(t, stepDur){
+    const s = step % 16, chord = PROGRESSION[Math.floor(step/16) % PROGRESSION.length], x = intensity;
+    if(s===0) chord.forEach(n=>tone('triangle', hz(n), t, stepDur*16, 0.035 + 0.02*x));
+    if(s % 4===0) tone('sawtooth', hz(chord[0] - 24), t, stepDur*3, 0.06 + 0.04*x);
+    if(x > 0.8 && s % 4===2) tone('sawtooth', hz(chord[0] - 12), t, stepDur, 0.05);
+    if(x > 0.2 && s % 4===0) tone('sine', 150, t, 0.18, 0.35, 40);
+    if(x > 0.35 && (x > 0.7 || s % 2===0)) tone('square', hz(chord[ARP[s % ARP.length]] + 12), t, stepDur*0.9, 0.025 + 0.02*x);
+    if(x > 0.45 && (s % 4===2 || (x > 0.8 && s % 2===1))) hit(t, 0.04, 0.08, 7000);
+    if(x > 0.6 && (s===4 || s===12)) hit(t, 0.15, 0.25, 1500);
+  }
+
+  function wake(){
+    intensity += (target - intensity)*SMOOTHING;
+    const stepDur = 60/(BPM[0] + (BPM[1] - BPM[0])*intensity)/4;
+    if(nextTime < ac.currentTime) nextTime = ac.currentTime + 0.05; // after a suspension: pick up from now, don't burst
+    while(nextTime < ac.currentTime + LOOKAHEAD){ scheduleStep(nextTime, stepDur); nextTime += stepDur; step++; }
+  }
+
+  return {
+    start(){ if(timer) return; step = 0; nextTime = 0; timer = setInterval(()=>{ if(ac.state==='running') wake(); }, TIMER_MS); },
+    stop(){ clearInterval(timer); timer = null; },
+    setIntensity(x){ target = Math.max(0, Math.min(1, x)); }
+  };
+}
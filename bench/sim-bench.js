@@ -0,0 +1,72 @@
+// bench/sim-bench.js
+// Headless stress test for sim.js: holds the arena at a fixed number of enemies and player bullets and
+// times updateGameLogic per tick. Players can't die and no waves spawn, so every run measures the same load.
+//
+//   node bench/sim-bench.js [--enemies 600] [--bullets 2000] [--ticks 600] [--players 2] [--seed 1]
+//   (or npm run bench -- --enemies 800)
+//
+// Top-ups (replacing enemies that died and bullets that hit or left) happen outside the timed section.
+//
+// The default load is the ceiling, not a target. Against the TICK_MS budget (16.67 ms at 60 ticks/s), 600 enemies
+// and 2000 bullets measure avg ~11.5 ms and p95 ~16-18 ms on one core of a mid-range machine (sim v8 on; v7 padded
+// every bullet's sweep by the boss radius and measured avg ~15.6 ms, p95 ~20 ms). The average fits but the slow
+// ticks don't, slower machines go over on average, and rendering on the same thread gets nothing. Real play is
+// far below it — four players with the fastest-firing weapons keep well under 100 bullets up, and bosses stop
+// summoning at 40 enemies. The report prints the headroom left in the budget; treat a
+// negative headroom as over budget. Most of the time goes to dodging (dodgeVector over the swept bullet grid);
+// the sweep is padded by the largest *dodging* enemy's radius. Changing the grid's cell size or that padding changes
+// which bullets enemies off the arena react to, so it needs a SIM_VERSION bump.
+
+import { performance } from 'node:perf_hooks';
+import { pathToFileURL } from 'node:url';
+import { startRun, updateGameLogic, makeEnemy, spawnBullet, nextRandom, SIM_VERSION, TICK_MS } from '../sim.js';
+import { ENEMY_TYPES } from '../enemies/registry.js';
+import { WEAPON_IDS } from '../weapons/registry.js';
+
+// every regular archetype, so the load includes dodgers, swarms and shooters (bosses and splitlings are left out)
+const TYPES = Object.values(ENEMY_TYPES).filter(d=>!d.boss && d.weight > 0).map(d=>d.type);
+
+export function runBench({ enemies = 600, bullets = 2000, ticks = 600, players = 2, seed = 1 } = {}){
+  const state = startRun({ seed, players });
+  state.breakTimer = Infinity; // the bench decides the population, not the wave director
+  const rng = { rngState: seed ^ 0x9e3779b9 }; // the bench's own stream, so top-ups don't touch the sim's RNG
+  const rnd = ()=>nextRandom(rng);
+  const inputs = state.players.map(()=>({ fire: true, aimX: state.W/2, aimY: 0 }));
+  const times = [], counts = { enemies: 0, bullets: 0, enemyBullets: 0, particles: 0 };
+  const topUp = ()=>{
+    while(state.enemies.length < enemies) makeEnemy(state, TYPES[Math.floor(rnd()*TYPES.length)], rnd()*state.W, rnd()*state.H);
+    while(state.bullets.length < bullets){
+      const p = state.players[Math.floor(rnd()*state.players.length)];
+      spawnBullet(state, p, WEAPON_IDS[Math.floor(rnd()*WEAPON_IDS.length)], rnd()*state.W, rnd()*state.H, rnd()*Math.PI*2);
+    }
+    for(const p of state.players){ p.hp = p.maxHp; p.downed = false; }
+    state.gameOver = false; state.running = true;
+  };
+  for(let t=0;t<ticks;t++){
+    topUp();
+    const t0 = performance.now();
+    updateGameLogic(state, inputs);
+    times.push(performance.now() - t0);
+    for(const k in counts) counts[k] += state[k].length;
+  }
+  times.sort((a,b)=>a-b);
+  const pick = q=>times[Math.min(times.length-1, Math.floor(q*times.length))];
+  return {
+    ticks, avg: times.reduce((s,x)=>s+x, 0)/ticks, p50: pick(0.5), p95: pick(0.95), max: times[times.length-1],
+    overBudget: times.filter(x=>x > TICK_MS).length/ticks, // share of ticks that took longer than a tick lasts
+    avgCounts: Object.fromEntries(Object.entries(counts).map(([k,v])=>[k, Math.round(v/ticks)]))
+  };
+}
+
+// --- CLI ------------------------------------------------------
+if(process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href){
+  const arg = (name, def)=>{ const i = process.argv.indexOf(name); return i>0 ? Number(process.argv[i+1]) : def; };
+  const opts = { enemies: arg('--enemies', 600), bullets: arg('--bullets', 2000), ticks: arg('--ticks', 600), players: arg('--players', 2), seed: arg('--seed', 1) };
+  const r = runBench(opts);
+  const ms = x=>x.toFixed(3) + 'ms';
+  const headroom = x=>`${ms(TICK_MS - x)} (${Math.round((1 - x/TICK_MS)*100)}%)`;
+  console.log(`sim v${SIM_VERSION} · ${opts.enemies} enemies · ${opts.bullets} bullets · ${opts.players} players · ${opts.ticks} ticks (budget ${ms(TICK_MS)}/tick)`);
+  console.log(`  per tick: avg ${ms(r.avg)}  p50 ${ms(r.p50)}  p95 ${ms(r.p95)}  max ${ms(r.max)}`);
+  console.log(`  headroom: avg ${headroom(r.avg)}  p95 ${headroom(r.p95)}  · ${Math.round(r.overBudget*100)}% of ticks over budget${r.avg > TICK_MS ? '  — OVER BUDGET' : ''}`);
+  console.log(`  live after each tick (avg): ${Object.entries(r.avgCounts).map(([k,v])=>`${k} ${v}`).join(', ')}`);
+}
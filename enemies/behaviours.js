@@ -0,0 +1,124 @@
+// enemies/behaviours.js
+// Steering for each enemy `behaviour` id used in enemies.json. A behaviour is { init?, step }:
+//   init(e, def, rnd)               once at spawn — per-enemy AI state (rnd: the game's seeded RNG)
+//   step(state, e, def, target, env) once per tick — sets e.vx/e.vy (px/s); the sim moves the enemy
+// env: { dt, speed (this enemy's px/s), rnd, fire(e, angle, speed), spawn(type, x, y), emit(event),
+//        near(x, y, r, visit) — enemies around x,y from the sim's broadphase grid; visit returns true to stop }
+// Pure functions of the game state, so the sim stays deterministic.
+
+const PREDICT_AHEAD = 0.1;        // seconds of player motion chasers extrapolate
+const DODGE_LOOKAHEAD = 0.4;      // seconds ahead an enemy watches incoming bullets
+const DODGE_MARGIN = 6;           // px of clearance a dodging enemy tries to keep
+const SUMMON_CAP = 40;            // bosses stop summoning while this many enemies are up
+
+// velocity of `speed` px/s along (x, y)
+function steer(e, x, y, speed){ const d = Math.hypot(x, y) || 1; e.vx = x/d*speed; e.vy = y/d*speed; }
+
+export const BEHAVIOURS = {
+  // head for where the target will be a moment from now
+  chase: {
+    step(state, e, def, p, env){
+      const f = def.predict*PREDICT_AHEAD;
+      steer(e, p.x + p.vx*f - e.x, p.y + p.vy*f - e.y, env.speed);
+    }
+  },
+
+  // keep around `range` from the target, strafe sideways and fire aimed shots every `fireInterval`
+  shooter: {
+    init(e, def, rnd){ e.dir = rnd()<0.5 ? -1 : 1; e.fireTimer = def.fireInterval*(0.5 + rnd()*0.5); },
+    step(state, e, def, p, env){
+      const dx = p.x - e.x, dy = p.y - e.y, d = Math.hypot(dx, dy) || 1;
+      const radial = d > def.range*1.15 ? 1 : (d < def.range*0.85 ? -1 : 0);
+      steer(e, dx/d*radial - dy/d*e.dir*0.6, dy/d*radial + dx/d*e.dir*0.6, env.speed);
+      e.fireTimer -= env.dt;
+      if(e.fireTimer <= 0 && d < def.range*1.4){
+        e.fireTimer = def.fireInterval;
+        const lead = d/def.bulletSpeed*0.5; // half-lead: dodgeable if the player keeps moving
+        env.fire(e, Math.atan2(p.y + p.vy*lead - e.y, p.x + p.vx*lead - e.x), def.bulletSpeed);
+      }
+    }
+  },
+
+  // circle the target at `orbitRadius`, spiralling in by `closeRate` px/s until contact
+  flank: {
+    init(e, def, rnd){ e.dir = rnd()<0.5 ? -1 : 1; e.orbit = def.orbitRadius; },
+    step(state, e, def, p, env){
+      e.orbit = Math.max(0, e.orbit - def.closeRate*env.dt);
+      const dx = e.x - p.x, dy = e.y - p.y, d = Math.hypot(dx, dy) || 1;
+      const radial = Math.max(-1, Math.min(1, (e.orbit - d)/Math.max(40, e.orbit)));
+      steer(e, -dy/d*e.dir + dx/d*radial, dx/d*e.dir + dy/d*radial, env.speed);
+    }
+  },
+
+  // seek the target as a flock: push away from close swarm-mates (separation), pull toward the group's centre (cohesion)
+  swarm: {
+    step(state, e, def, p, env){
+      let sx = 0, sy = 0, cx = 0, cy = 0, n = 0;
+      env.near(e.x, e.y, def.neighbourRadius, o=>{
+        if(o===e || o.type!==e.type) return;
+        const dx = e.x - o.x, dy = e.y - o.y, d = Math.hypot(dx, dy);
+        if(d===0 || d > def.neighbourRadius) return;
+        const push = (def.neighbourRadius - d)/def.neighbourRadius;
+        sx += dx/d*push; sy += dy/d*push; cx += o.x; cy += o.y; n++;
+      });
+      const tx = p.x - e.x, ty = p.y - e.y, td = Math.hypot(tx, ty) || 1;
+      let x = tx/td + sx*def.separation, y = ty/td + sy*def.separation;
+      if(n){ const gx = cx/n - e.x, gy = cy/n - e.y, gd = Math.hypot(gx, gy) || 1; x += gx/gd*def.cohesion; y += gy/gd*def.cohesion; }
+      steer(e, x, y, env.speed);
+    }
+  },
+
+  // multi-phase boss: def.phases[i] is active until hp falls to `until` of max; each phase has a movement
+  // ('hover' at `hold` px from the target, strafing | 'charge') and a list of timed ATTACKS
+  boss: {
+    init(e, def, rnd){ e.phase = 0; e.dir = rnd()<0.5 ? -1 : 1; e.spin = rnd()*Math.PI*2; e.attackTimers = def.phases[0].attacks.map(a=>a.every); },
+    step(state, e, def, p, env){
+      while(e.phase < def.phases.length-1 && e.hp <= e.maxHp*def.phases[e.phase].until){
+        e.phase++; e.attackTimers = def.phases[e.phase].attacks.map(a=>a.every*0.5);
+        env.emit({ type:'bossPhase', enemy:e.type, phase:e.phase, x:e.x, y:e.y });
+      }
+      const phase = def.phases[e.phase];
+      const dx = p.x - e.x, dy = p.y - e.y, d = Math.hypot(dx, dy) || 1;
+      if(phase.move==='charge') steer(e, dx, dy, env.speed*1.6);
+      else { const radial = d > phase.hold*1.1 ? 1 : (d < phase.hold*0.9 ? -1 : 0); steer(e, dx/d*radial - dy/d*e.dir*0.5, dy/d*radial + dx/d*e.dir*0.5, env.speed); }
+      phase.attacks.forEach((a,i)=>{ e.attackTimers[i] -= env.dt; if(e.attackTimers[i] > 0) return; e.attackTimers[i] += a.every; ATTACKS[a.pattern](state, e, a, Math.atan2(dy, dx), env); });
+    }
+  }
+};
+
+// Boss attack patterns, one volley per call. a: the attack's entry in the boss phase (enemies.json),
+// ang: angle from the boss to its target.
+export const ATTACKS = {
+  // `count` bullets fanned `spread` radians apart around the target
+  aimed(state, e, a, ang, env){ for(let k=0;k<a.count;k++) env.fire(e, ang + (k - (a.count-1)/2)*a.spread, a.speed); },
+  // `count` bullets evenly around the boss, the ring rotated a little each time
+  ring(state, e, a, ang, env){ for(let k=0;k<a.count;k++) env.fire(e, e.spin + Math.PI*2*k/a.count, a.speed); e.spin += Math.PI/a.count; },
+  // `count` arms turning `turn` radians per volley — fire often for a spiral
+  spiral(state, e, a, ang, env){ for(let k=0;k<a.count;k++) env.fire(e, e.spin + Math.PI*2*k/a.count, a.speed); e.spin += a.turn; },
+  // `count` enemies of `type` in a ring around the boss
+  summon(state, e, a, ang, env){
+    if(state.enemies.length >= SUMMON_CAP) return;
+    for(let k=0;k<a.count;k++){ const t = Math.PI*2*k/a.count; env.spawn(a.type, e.x + Math.cos(t)*(e.r+20), e.y + Math.sin(t)*(e.r+20)); }
+  }
+};
+
+// The stretch of a bullet's path dodgeVector looks at: the next `seconds` of flight, within b.r + e.r + `margin` of it.
+export const DODGE_SWEEP = { seconds: DODGE_LOOKAHEAD, margin: DODGE_MARGIN };
+
+// Sidestep direction (not normalized; zero when safe) away from the player bullets that would hit `e`
+// within DODGE_LOOKAHEAD: for each bullet, find its closest approach and step off its line, sooner threats weighing more.
+export function dodgeVector(bullets, e){
+  let x = 0, y = 0;
+  for(const b of bullets){
+    const rx = e.x - b.x, ry = e.y - b.y, v2 = b.vx*b.vx + b.vy*b.vy;
+    if(!v2) continue;
+    const t = (rx*b.vx + ry*b.vy)/v2;                     // time of closest approach
+    if(t <= 0 || t > DODGE_LOOKAHEAD) continue;
+    const mx = rx - b.vx*t, my = ry - b.vy*t, miss = Math.hypot(mx, my);
+    if(miss >= e.r + b.r + DODGE_MARGIN) continue;
+    const w = 1 - t/DODGE_LOOKAHEAD;
+    if(miss > 0.001){ x += mx/miss*w; y += my/miss*w; }
+    else { const v = Math.sqrt(v2); x += -b.vy/v*w; y += b.vx/v*w; } // dead centre: pick the bullet's left
+  }
+  return { x, y };
+}
@@ -0,0 +1,38 @@
+// enemies/registry.js
+// Enemy archetypes from enemies.json, with defaults filled in and references checked at load time.
+//
+// def: { type, r, hp, speed (x state.enemySpeedBase), score (per kill), sprite: { shape, color },
+//        behaviour (id in behaviours.js), predict, dodge (sidestep speed, x own speed; 0 = never dodges),
+//        weight (random spawn odds; 0 = never spawned at random), minWave, group (spawned together),
+//        splitInto, splitCount (spawned where it dies), boss, name (bosses) } + behaviour-specific fields
+// Bosses (behaviour 'boss') also list `phases`, each with attacks whose `pattern` is one of ATTACKS.
+
+import ENEMY_DEFS from './enemies.json' with { type: 'json' };
+import { BEHAVIOURS, ATTACKS } from './behaviours.js';
+
+const DEFAULTS = { predict: 0.35, dodge: 0, weight: 1, minWave: 1, group: 1, splitInto: null, splitCount: 0, boss: false };
+
+export const ENEMY_TYPES = Object.freeze(Object.fromEntries(Object.entries(ENEMY_DEFS).map(([type, def])=>[type, Object.freeze({ ...DEFAULTS, ...def, type })])));
+
+for(const def of Object.values(ENEMY_TYPES)){
+  if(!BEHAVIOURS[def.behaviour]) throw new Error(`enemies.json: ${def.type} has unknown behaviour "${def.behaviour}"`);
+  if(def.splitInto && !ENEMY_TYPES[def.splitInto]) throw new Error(`enemies.json: ${def.type} splits into unknown type "${def.splitInto}"`);
+  for(const phase of def.phases || []) for(const a of phase.attacks){
+    if(!ATTACKS[a.pattern]) throw new Error(`enemies.json: ${def.type} has unknown attack pattern "${a.pattern}"`);
+    if(a.pattern==='summon' && !ENEMY_TYPES[a.type]) throw new Error(`enemies.json: ${def.type} summons unknown type "${a.type}"`);
+  }
+}
+
+export function enemyDef(type){
+  const def = ENEMY_TYPES[type];
+  if(!def) throw new Error(`unknown enemy type "${type}"`);
+  return def;
+}
+
+// Weighted pick among the types allowed to spawn at random on `wave`; r is a random number in [0,1).
+export function pickEnemyType(wave, r){
+  const table = Object.values(ENEMY_TYPES).filter(d=>d.weight > 0 && d.minWave <= wave);
+  let left = r * table.reduce((sum,d)=>sum + d.weight, 0);
+  for(const d of table){ left -= d.weight; if(left < 0) return d.type; }
+  return table[table.length-1].type;
+}
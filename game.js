@@ -1,9 +1,17 @@
 // TotalShooterApp.jsx
 // Full single-file React app (TailwindCSS assumed available)
 // Features included (best-effort high-quality):
-// - Canvas-based shooter with AI opponents (smart behaviors)
-// - Mobile touch support: virtual joystick + fire button
-// - Programmatic high-quality-ish sounds via WebAudio (no external files)
+// - Canvas-based shooter with AI opponents: data-driven archetypes (enemies/enemies.json) — chasers, shooters, flankers, swarms, splitters — that dodge incoming fire
+// - Weapons (weapons/weapons.json: pistol, shotgun, SMG, rail, rocket, flamethrower) and a between-waves shop
+// - Scripted waves (waves/waves.json) with breaks between them, a multi-phase boss every few waves, then endless procedural waves
+// - Mobile touch support: virtual joystick + fire button (size, zone split and left-handed layout adjustable)
+// - Gamepad support (twin-stick move/aim, trigger to fire) and fully remappable controls on the settings screen (input/)
+// - Local 2-player co-op on one screen (keyboard split or gamepad for P2, revive downed teammates)
+// - Online 2-4 player co-op against a local authoritative server (`node server/game-server.js`)
+// - Programmatic high-quality-ish sounds via WebAudio (no external files): mixer with SFX/music buses and a limiter,
+//   voice limiting, adaptive synthesized music that follows the wave and the crowd (audio/), volume sliders + mute
+// - Local player profiles in IndexedDB (profile/): lifetime stats, run history, achievements with on-canvas unlock toasts,
+//   JSON export/import
 // - Sprite system using inline SVG sprite-sheet + simple animator
 // - Simple Firebase backend hooks for leaderboard (placeholder config)
 // - Responsive homepage layout (hero, play area, controls, leaderboard, about)
@@ -13,179 +21,180 @@
 // 1) Create a React project (Vite / CRA). Install Firebase if you want backend: `npm i firebase`
 // 2) Add TailwindCSS following standard setup (Tailwind not strictly required but styles expect it).
 // 3) Copy this file into src/ and import in App.jsx: `import TotalShooterApp from './TotalShooterApp'`.
-// 4) Replace FIREBASE_CONFIG placeholders with your project's config to enable leaderboard.
+//    Copy sim.js (headless game logic, also runs in Node), replay.js and the enemies/, waves/, weapons/, physics/, input/, audio/ and profile/ folders next to it.
+//    `node bench/sim-bench.js` stress-tests the simulation (hundreds of enemies, thousands of bullets) and prints ms per tick.
+//    `npm test` runs the node:test suites in test/ (determinism, waves, collisions, scoring, replay verification).
+// 4) Leaderboard: scores go to this browser's storage by default. For a shared board either set
+//    LEADERBOARD_URL (e.g. run `node server/leaderboard-server.js`) or fill FIREBASE_CONFIG and
+//    uncomment the firebase imports below + the line in makeLeaderboard().
 
 import React, { useEffect, useRef, useState } from 'react';
+import { makeInitialGameState, startRun, updateGameLogic, simActive, teamScore, lerpPos, TICK_MS, TICK_RATE, REVIVE_TIME } from './sim.js';
+import { createRecorder, serializeReplay, parseReplay, decodeInputs, isVersionMismatch, hashReplay } from './replay.js';
+import { PERIODS } from './leaderboard/service.js';
+import { createLocalLeaderboard } from './leaderboard/localAdapter.js';
+import { createRestLeaderboard } from './leaderboard/restAdapter.js';
+import { createFirebaseLeaderboard } from './leaderboard/firebaseAdapter.js';
+import { createNetClient } from './net/client.js';
+import { ENEMY_TYPES } from './enemies/registry.js';
+import { WEAPONS, SHOP_ITEMS } from './weapons/registry.js';
+import { itemPrice, buyBlocker } from './weapons/shop.js';
+import { ACTIONS, LIMITS, loadSettings, saveSettings, normalizeSettings, bindAction, keyLabel, buttonLabel } from './input/settings.js';
+import { createInputMapper } from './input/mapper.js';
+import { createAudioEngine, loadAudioSettings, saveAudioSettings } from './audio/engine.js';
+import { musicIntensity } from './audio/music.js';
+import { newProfile, cleanName, exportProfile, parseProfile, createRunTracker } from './profile/profile.js';
+import { ACHIEVEMENTS, accuracyOf, progressOf } from './profile/achievements.js';
+import { createProfileStore } from './profile/store.js';
 
 // Optional: import firebase functions if you plan to enable leaderboard
 // import { initializeApp } from 'firebase/app';
-// import { getDatabase, ref, push, set, onValue, query, orderByChild, limitToLast } from 'firebase/database';
+// import * as firebaseDb from 'firebase/database';
+
+const PERIOD_LABELS = { daily:'오늘', weekly:'이번 주', alltime:'전체' };
+const MODE_LABELS = { solo:'솔로', coop:'2인 협동', online:'온라인' };
+const TOAST_MS = 4000; // how long an achievement toast stays on the canvas
+const BINDING_COLUMNS = [['keyboard', 0, 'P1 키보드'], ['keyboard', 1, 'P2 키보드'], ['gamepad', 0, '게임패드']];
+
+// current weapon and its ammo, e.g. "산탄총 12" (∞ = unlimited)
+function weaponLabel(p){ return `${WEAPONS[p.weapon].name} ${p.ammo[p.weapon] ?? '∞'}`; }
+// a player's movement keys as one label, e.g. "WASD" or "↑←↓→"
+function moveKeysLabel(map){ return ['up','left','down','right'].map(a=>keyLabel(map[a])).join(''); }
+// a duration in seconds, e.g. "1시간 5분" or "3분 20초"
+function formatSeconds(sec){ const s = Math.floor(sec), h = Math.floor(s/3600), m = Math.floor(s/60)%60; return h ? `${h}시간 ${m}분` : `${m}분 ${s%60}초`; }
+// typing into a text field shouldn't steer the game
+function isTyping(e){ const t = e.target; return !!t && (t.tagName==='INPUT' || t.tagName==='TEXTAREA' || t.tagName==='SELECT' || t.isContentEditable); }
 
 export default function TotalShooterApp(){
   // UI state
-  const [screen, setScreen] = useState('home'); // home | play | leaderboard
+  const [screen, setScreen] = useState('home'); // home | play | leaderboard | replay | online | settings | profile
   const [scoreBoard, setScoreBoard] = useState([]);
-  const [playerName, setPlayerName] = useState('Player');
+  const [boardPeriod, setBoardPeriod] = useState('alltime');
+  const [myRank, setMyRank] = useState(null);
+  const [submitStatus, setSubmitStatus] = useState('');
+  const [profiles, setProfiles] = useState([]);   // every profile on this device (profile/store.js)
+  const [profile, setProfile] = useState(null);     // the active one, re-set after each save so the screen follows its stats
+  const [profileError, setProfileError] = useState('');
+  const [newProfileName, setNewProfileName] = useState('');
+  const [nameDraft, setNameDraft] = useState(null); // the profile name being typed; the profile only takes it on blur
+  const playerName = profile ? profile.name : 'Player';
+  const playerNameRef = useRef(playerName); playerNameRef.current = playerName; // read from the game loop
+  const [replayInfo, setReplayInfo] = useState(null); // { seed, ticks, warning } of the loaded replay
+  const [replayError, setReplayError] = useState('');
+  const [replayTick, setReplayTick] = useState(0);
+  const [replaySpeed, setReplaySpeed] = useState(1);
+  const [replayPaused, setReplayPaused] = useState(false);
+  const [online, setOnline] = useState({ status:'idle', lobby:null, memberId:null, error:'' });
+  const [serverUrl, setServerUrl] = useState('ws://localhost:8790');
+  const [roomCodeInput, setRoomCodeInput] = useState('');
+  const [shop, setShop] = useState(null); // { wave, players } while a break between waves is on
+  const [rebind, setRebind] = useState(null); // { device, player, action } while the settings screen waits for a key/button
 
   // game refs
   const canvasRef = useRef(null);
   const rafRef = useRef(null);
-  const audioCtxRef = useRef(null);
+  // sound effects + music (audio/engine.js); the AudioContext itself starts on the first user gesture
+  const audioRef = useRef(null);
+  if(!audioRef.current) audioRef.current = createAudioEngine({ settings: loadAudioSettings() });
+  const [audioSettings, setAudioSettings] = useState(()=>audioRef.current.settings);
   const gameStateRef = useRef(null);
-  const inputRef = useRef({});
-  const touchIdsRef = useRef({});
-
-  // firebase placeholders
+  // every device goes through the input mapper (input/mapper.js); the game only reads per-player input from it
+  const mapperRef = useRef(null);
+  if(!mapperRef.current) mapperRef.current = createInputMapper(loadSettings(), { onAppAction: id=>{ if(id==='pause') pauseToggle(); else if(id==='mute') toggleMute(); } });
+  const [settings, setSettings] = useState(()=>mapperRef.current.settings);
+  const recorderRef = useRef(null); // records the live run's per-tick input
+  const replayRef = useRef(null);   // { replay, inputs, speed, paused } while the replay screen plays a file
+  const netRef = useRef(null);      // online client (net/client.js) while on the online screen
+  const shopKeyRef = useRef('');    // what the shop panel last showed, so it only re-renders on change
+  const profileStoreRef = useRef(null);
+  const profileRef = useRef(null);  // active profile; the run tracker adds to its stats in place
+  const trackerRef = useRef(null);  // { tracker, mode, seed, player, state (local runs), startedAt } for the run being tracked
+  const toastsRef = useRef([]);     // [{ name, desc, at }] achievement toasts on the canvas
+
+  // leaderboard backend
   const FIREBASE_CONFIG = null; // <-- Paste your firebase config object here to enable leaderboard
+  const LEADERBOARD_URL = null; // <-- or point this at a REST server, e.g. 'http://localhost:8787'
+  const leaderboardRef = useRef(null);
 
   useEffect(()=>{
-    // Initialize audio context once
-    audioCtxRef.current = new (window.AudioContext || window.webkitAudioContext)();
     // initialize game state
     gameStateRef.current = makeInitialGameState();
-    // optional: load leaderboard from backend if enabled
-    // if (FIREBASE_CONFIG) initFirebaseAndLoad();
+    // leaderboard service (local / REST / firebase)
+    leaderboardRef.current = makeLeaderboard();
+    loadProfiles();
+    // closing the tab mid-run still files the run
+    const onPageHide = ()=>finishTrackedRun();
+    window.addEventListener('pagehide', onPageHide);
     return ()=>{
+      window.removeEventListener('pagehide', onPageHide);
       cancelAnimationFrame(rafRef.current);
-      if (audioCtxRef.current && audioCtxRef.current.state !== 'closed') audioCtxRef.current.close();
+      audioRef.current.close();
     }
   },[]);
 
-  // --- Game core -------------------------------------------------
-  function makeInitialGameState(){
-    return {
-      W: 1200, H: 680,
-      player: { x:600, y:340, r:20, speed:4, hp:3, score:0 },
-      bullets: [], enemies: [], particles: [],
-      wave:1, spawnTimer:0, spawnInterval:100, enemySpeedBase:0.9,
-      running: false, paused:false, gameOver:false,
-      lastShotTime:0, shotInterval:120,
-      joystick: { active:false, cx:0, cy:0, x:0, y:0 },
-      touchFire:false
-    }
-  }
+  // browsers start audio suspended until the user interacts (and may suspend it again, e.g. iOS calls):
+  // every gesture, and coming back to the tab, resumes it
+  useEffect(()=>{
+    const unlock = ()=>audioRef.current.unlock();
+    const onVisible = ()=>{ if(document.visibilityState==='visible') unlock(); };
+    const gestures = ['pointerdown', 'keydown', 'touchend'];
+    gestures.forEach(g=>window.addEventListener(g, unlock, true)); document.addEventListener('visibilitychange', onVisible);
+    return ()=>{ gestures.forEach(g=>window.removeEventListener(g, unlock, true)); document.removeEventListener('visibilitychange', onVisible); };
+  },[]);
 
   // Sprite info: using inline vector art (SVG path sets) to be drawn on canvas
   const SPRITES = {
-    player: { draw: (ctx,x,y,r, t)=>{
+    player: {
+      // per player (index = player id): body, stripe, turret
+      colors: [
+        { body:'#6bd3ff', stripe:'#083d6b', turret:'#052836' },
+        { body:'#ff9bd3', stripe:'#6b0840', turret:'#a0106a' },
+        { body:'#b5ff6b', stripe:'#2f6b08', turret:'#3d7a00' },
+        { body:'#ffd36b', stripe:'#6b4a08', turret:'#a06a00' }
+      ],
+      draw: (ctx,x,y,r, t)=>{
+      const c = SPRITES.player.colors[t.id||0];
       // stylized tank-like player: draw body + turret
       ctx.save();
       ctx.translate(x,y);
+      if(t.downed) ctx.globalAlpha = 0.35;
       // body
-      ctx.beginPath(); ctx.arc(0,0,r,0,Math.PI*2); ctx.fillStyle = '#6bd3ff'; ctx.fill();
-      ctx.fillStyle = '#083d6b'; ctx.fillRect(-r*0.3, -r*0.6, r*0.6, r*1.2);
-      // turret rotates toward mouse stored in t.turretAngle
+      ctx.beginPath(); ctx.arc(0,0,r,0,Math.PI*2); ctx.fillStyle = c.body; ctx.fill();
+      ctx.fillStyle = c.stripe; ctx.fillRect(-r*0.3, -r*0.6, r*0.6, r*1.2);
+      // turret rotates toward the player's aim stored in t.turretAngle
       ctx.save(); ctx.rotate(t.turretAngle||0);
-      ctx.fillStyle = '#052836'; ctx.fillRect(6, -6, r+8, 12);
+      ctx.fillStyle = c.turret; ctx.fillRect(6, -6, r+8, 12);
       ctx.restore();
+      // downed: revive progress ring
+      if(t.downed){ ctx.globalAlpha = 1; ctx.strokeStyle = c.body; ctx.lineWidth = 4; ctx.beginPath(); ctx.arc(0,0,r+8,-Math.PI/2,-Math.PI/2 + Math.PI*2*(t.revive||0)); ctx.stroke(); }
       ctx.restore();
     }},
+    // shape per archetype comes from enemies.json (sprite.shape): circle | diamond | triangle | hex
     enemy: { draw: (ctx,x,y,r, t)=>{
+      const def = ENEMY_TYPES[t.type]; const shape = def ? def.sprite.shape : 'circle';
       ctx.save(); ctx.translate(x,y);
-      ctx.beginPath(); ctx.arc(0,0,r,0,Math.PI*2); ctx.fillStyle = t.color||'#ff6b6b'; ctx.fill();
+      ctx.beginPath();
+      if(shape==='circle') ctx.arc(0,0,r,0,Math.PI*2);
+      else { const n = shape==='diamond' ? 4 : (shape==='triangle' ? 3 : 6); ctx.rotate(Math.atan2(t.vy||0, t.vx||1)); for(let k=0;k<n;k++){ const a = Math.PI*2*k/n; ctx.lineTo(Math.cos(a)*r, Math.sin(a)*r); } ctx.closePath(); }
+      ctx.fillStyle = t.color||'#ff6b6b'; ctx.fill();
       ctx.restore();
     }},
-    bullet: { draw: (ctx,x,y,r)=>{ ctx.beginPath(); ctx.arc(x,y,r,0,Math.PI*2); ctx.fillStyle='#ffd'; ctx.fill(); } }
-  }
-
-  // --- Audio helpers (synthesized) ------------------------------
-  function ensureAudio(){ if(!audioCtxRef.current) audioCtxRef.current = new (window.AudioContext||window.webkitAudioContext)(); }
-  function playShot(){
-    ensureAudio();
-    const ac = audioCtxRef.current;
-    const o = ac.createOscillator();
-    const g = ac.createGain();
-    o.type = 'square'; o.frequency.setValueAtTime(1200, ac.currentTime);
-    g.gain.setValueAtTime(0.0001, ac.currentTime);
-    g.gain.exponentialRampToValueAtTime(0.08, ac.currentTime + 0.005);
-    g.gain.exponentialRampToValueAtTime(0.0001, ac.currentTime + 0.18);
-    o.connect(g); g.connect(ac.destination);
-    o.start(); o.stop(ac.currentTime + 0.2);
+    // player bullets take their weapon's colour (weapons.json)
+    bullet: { draw: (ctx,x,y,r, col='#ffd')=>{ ctx.beginPath(); ctx.arc(x,y,r,0,Math.PI*2); ctx.fillStyle=col; ctx.fill(); } }
   }
-  function playExplosion(){
-    ensureAudio();
-    const ac = audioCtxRef.current;
-    // noise burst
-    const bufferSize = ac.sampleRate * 0.25;
-    const buffer = ac.createBuffer(1, bufferSize, ac.sampleRate);
-    const data = buffer.getChannelData(0);
-    for(let i=0;i<bufferSize;i++){ data[i] = (Math.random()*2-1) * Math.exp(-3*i/bufferSize); }
-    const src = ac.createBufferSource(); src.buffer = buffer; const g = ac.createGain(); g.gain.value = 0.8; src.connect(g); g.connect(ac.destination); src.start();
-  }
-  function playHurt(){
-    ensureAudio(); const ac = audioCtxRef.current; const o = ac.createOscillator(); const g = ac.createGain(); o.type='sawtooth'; o.frequency.setValueAtTime(240, ac.currentTime); g.gain.value=0.0001; g.gain.exponentialRampToValueAtTime(0.12, ac.currentTime+0.01); g.gain.exponentialRampToValueAtTime(0.0001, ac.currentTime+0.25); o.connect(g); g.connect(ac.destination); o.start(); o.stop(ac.currentTime+0.26);
-  }
-
-  // --- AI behavior for enemies ---------------------------------
-  function spawnEnemy(state){
-    const side = Math.floor(Math.random()*4);
-    let x,y;
-    if(side===0){ x=-40; y = Math.random()*state.H; }
-    else if(side===1){ x=state.W+40; y = Math.random()*state.H; }
-    else if(side===2){ x=Math.random()*state.W; y=-40; }
-    else { x=Math.random()*state.W; y=state.H+40; }
-    const types = ['normal','fast','big'];
-    const t = types[Math.floor(Math.random()*types.length)];
-    const obj = { x,y, r: t==='big'?28:(t==='fast'?12:18), hp: t==='big'?3:1, type:t, color: t==='big'? '#7af' : (t==='fast'? '#ffb86b' : '#ff6b6b'), vx:0, vy:0 };
-    state.enemies.push(obj);
-  }
-
-  function updateGameLogic(state, input){
-    if(!state.running || state.paused || state.gameOver) return;
-    const p = state.player;
-    // movement
-    if(input.left) p.x -= p.speed; if(input.right) p.x += p.speed; if(input.up) p.y -= p.speed; if(input.down) p.y += p.speed;
-    // joystick (touch)
-    if(state.joystick.active){ const dx = state.joystick.x - state.joystick.cx; const dy = state.joystick.y - state.joystick.cy; const d = Math.hypot(dx,dy); if(d>6){ p.x += (dx/d) * p.speed; p.y += (dy/d) * p.speed; } }
-    // bounds
-    p.x = Math.max(p.r, Math.min(state.W - p.r, p.x)); p.y = Math.max(p.r, Math.min(state.H - p.r, p.y));
-    // shooting
-    const now = performance.now();
-    if((input.fire || state.touchFire) && (now - state.lastShotTime) > state.shotInterval){
-      // aim: toward input.aimX/Y if present, else mouse position
-      const aimX = input.aimX ?? state.W/2; const aimY = input.aimY ?? state.H/2;
-      const ang = Math.atan2(aimY - p.y, aimX - p.x);
-      const speed = 14;
-      state.bullets.push({ x: p.x + Math.cos(ang)*(p.r+8), y: p.y + Math.sin(ang)*(p.r+8), vx: Math.cos(ang)*speed, vy: Math.sin(ang)*speed, r:5, life:80 });
-      state.lastShotTime = now;
-      playShot();
-    }
-    // bullets update
-    for(let i=state.bullets.length-1;i>=0;i--){ const b = state.bullets[i]; b.x += b.vx; b.y += b.vy; b.life--; if(b.life<=0 || b.x< -50 || b.x>state.W+50 || b.y<-50 || b.y>state.H+50) state.bullets.splice(i,1); }
-    // enemies AI: move toward player, occasionally dodge, sometimes predict
-    state.enemies.forEach(e=>{
-      // simple predictive chase: head to player's future pos
-      const predictFactor = e.type==='fast'? 0.7 : 0.35;
-      const futureX = p.x + (p.x - (state._prevPlayerX||p.x))*predictFactor*6;
-      const futureY = p.y + (p.y - (state._prevPlayerY||p.y))*predictFactor*6;
-      const ang = Math.atan2(futureY - e.y, futureX - e.x);
-      const sp = state.enemySpeedBase * (e.type==='fast'?1.8:(e.type==='big'?0.65:1.0));
-      e.vx = Math.cos(ang)*sp; e.vy = Math.sin(ang)*sp; e.x += e.vx; e.y += e.vy;
-      // occasional dodge using simple perpendicular jitter
-      if(Math.random()<0.006) { e.x += Math.cos(ang+Math.PI/2)*6; e.y += Math.sin(ang+Math.PI/2)*6; }
-    });
-    state._prevPlayerX = p.x; state._prevPlayerY = p.y;
-
-    // collisions: bullets vs enemies
-    for(let i=state.enemies.length-1;i>=0;i--){ const e=state.enemies[i]; for(let j=state.bullets.length-1;j>=0;j--){ const b=state.bullets[j]; const d = Math.hypot(e.x-b.x, e.y-b.y); if(d < e.r + b.r){ state.bullets.splice(j,1); e.hp--; for(let k=0;k<6;k++) state.particles.push(makeParticle(b.x,b.y)); if(e.hp<=0){ playExplosion(); state.player.score += e.type==='big'?40:(e.type==='fast'?12:20); state.enemies.splice(i,1); break; } else { state.player.score += 8; } } } }
-
-    // collisions: enemies vs player
-    for(let i=state.enemies.length-1;i>=0;i--){ const e=state.enemies[i]; const d = Math.hypot(e.x - p.x, e.y - p.y); if(d < e.r + p.r){ // hit
-        state.enemies.splice(i,1); p.hp--; playHurt(); for(let k=0;k<12;k++) state.particles.push(makeParticle(p.x,p.y,true)); if(p.hp<=0){ state.gameOver = true; state.running=false; }
-      }}
-
-    // particles update
-    for(let i=state.particles.length-1;i>=0;i--){ const q=state.particles[i]; q.x+=q.vx; q.y+=q.vy; q.vx*=0.98; q.vy*=0.98; q.life--; if(q.life<=0) state.particles.splice(i,1); }
 
-    // spawn logic
-    state.spawnTimer++; if(state.spawnTimer >= state.spawnInterval){ state.spawnTimer=0; const count = Math.min(6 + Math.floor(state.wave/1.5), 18); for(let s=0;s<Math.max(1,Math.floor(1+state.wave/2));s++) spawnEnemy(state); }
-    if(state.player.score > state.wave*200){ state.wave++; state.spawnInterval = Math.max(40, state.spawnInterval - 8); state.enemySpeedBase += 0.12; }
+  // --- Audio (audio/engine.js) -----------------------------------
+  function updateAudioSettings(next){ audioRef.current.setSettings(next); saveAudioSettings(next); setAudioSettings(audioRef.current.settings); }
+  function toggleMute(){ const a = audioRef.current.settings; updateAudioSettings({ ...a, muted: !a.muted }); }
+  // music follows whatever is on screen while it's live: calm in breaks, driving in big waves, full tilt for bosses
+  function syncMusic(state, active){
+    const music = audioRef.current.music;
+    if(active && state){ music.setIntensity(musicIntensity(state)); music.start(); } else music.stop();
   }
 
-  function makeParticle(x,y,red=false){ const ang = Math.random()*Math.PI*2; const sp = Math.random()*4 + (red?1.6:0.6); return { x,y, vx:Math.cos(ang)*sp, vy:Math.sin(ang)*sp, life: Math.floor(Math.random()*30+20), size: Math.random()*2+1, col: red? '#ff6b6b' : (Math.random()<0.5? '#fff' : '#ffd') } }
-
   // --- Rendering ------------------------------------------------
-  function renderStateToCanvas(state, ctx, pointer){
+  // alpha: how far (0..1) real time has moved past the last sim tick — positions are interpolated by it
+  function renderStateToCanvas(state, ctx, pointer, alpha=1){
     const W = state.W, H = state.H;
     ctx.clearRect(0,0,W,H);
     // background gradient
@@ -194,89 +203,528 @@ export default function TotalShooterApp(){
     ctx.save(); ctx.globalAlpha = 0.04; ctx.fillStyle='#fff'; for(let x=0;x<W;x+=48) ctx.fillRect(x,0,1,H); for(let y=0;y<H;y+=48) ctx.fillRect(0,y,W,1); ctx.restore();
 
     // enemies
-    state.enemies.forEach(e=>{ SPRITES.enemy.draw(ctx,e.x,e.y,e.r,e); });
+    state.enemies.forEach(e=>{ const pos = lerpPos(e,alpha); SPRITES.enemy.draw(ctx,pos.x,pos.y,e.r,e); });
     // bullets
-    state.bullets.forEach(b=>{ SPRITES.bullet.draw(ctx,b.x,b.y,b.r); });
-    // player
-    const t = { turretAngle: Math.atan2((pointer.y||state.player.y) - state.player.y, (pointer.x||state.player.x) - state.player.x) };
-    SPRITES.player.draw(ctx, state.player.x, state.player.y, state.player.r, t);
-    // particles
-    state.particles.forEach(p=>{ ctx.globalAlpha = Math.max(0, p.life/40); ctx.beginPath(); ctx.fillStyle = p.col; ctx.arc(p.x,p.y,p.size,0,Math.PI*2); ctx.fill(); ctx.globalAlpha=1; });
+    state.bullets.forEach(b=>{ const pos = lerpPos(b,alpha); SPRITES.bullet.draw(ctx,pos.x,pos.y,b.r,WEAPONS[b.weapon] && WEAPONS[b.weapon].color); });
+    (state.enemyBullets || []).forEach(b=>{ const pos = lerpPos(b,alpha); SPRITES.bullet.draw(ctx,pos.x,pos.y,b.r,'#ff5a8a'); });
+    // players
+    state.players.forEach(p=>{ if(p.left) return; const pos = lerpPos(p,alpha); SPRITES.player.draw(ctx, pos.x, pos.y, p.r, { id:p.id, turretAngle:p.aimAngle, downed:p.downed, revive:p.reviveProgress/REVIVE_TIME }); });
+    // particles (life is in seconds; fully opaque above ~0.67s)
+    state.particles.forEach(p=>{ const pos = lerpPos(p,alpha); ctx.globalAlpha = Math.max(0, Math.min(1, p.life/0.667)); ctx.beginPath(); ctx.fillStyle = p.col; ctx.arc(pos.x,pos.y,p.size,0,Math.PI*2); ctx.fill(); ctx.globalAlpha=1; });
     // HUD overlay
-    ctx.fillStyle = 'rgba(0,0,0,0.35)'; ctx.fillRect(12,12,220,66);
-    ctx.fillStyle = '#cfeeff'; ctx.font = '16px monospace'; ctx.fillText(`Score: ${state.player.score}`, 22, 36); ctx.fillText(`HP: ${state.player.hp}`, 22, 58);
+    if(state.players.length===1){
+      const p = state.players[0];
+      ctx.fillStyle = 'rgba(0,0,0,0.35)'; ctx.fillRect(12,12,240,88);
+      ctx.fillStyle = '#cfeeff'; ctx.font = '16px monospace'; ctx.fillText(`Score: ${p.score}`, 22, 36); ctx.fillText(`HP: ${p.hp}   $${p.credits}`, 22, 58); ctx.fillText(weaponLabel(p), 22, 80);
+    } else {
+      ctx.fillStyle = 'rgba(0,0,0,0.35)'; ctx.fillRect(12,12,460,22*state.players.length+22);
+      ctx.font = '16px monospace';
+      state.players.forEach((p,i)=>{ ctx.fillStyle = SPRITES.player.colors[p.id].body; ctx.fillText(`P${p.id+1} Score: ${p.score}  ${p.left ? 'LEFT' : p.downed ? 'DOWN' : `HP: ${p.hp}`}  $${p.credits}  ${weaponLabel(p)}`, 22, 36 + i*22); });
+    }
+    // boss health bar, with a notch where each attack phase begins
+    const boss = state.enemies.find(e=>ENEMY_TYPES[e.type] && ENEMY_TYPES[e.type].boss);
+    if(boss){
+      const def = ENEMY_TYPES[boss.type], bw = Math.min(520, W-320), bx = (W-bw)/2, by = 22;
+      ctx.fillStyle = 'rgba(0,0,0,0.5)'; ctx.fillRect(bx-4, by-4, bw+8, 22);
+      ctx.fillStyle = def.sprite.color; ctx.fillRect(bx, by, bw*Math.max(0, boss.hp/boss.maxHp), 14);
+      ctx.fillStyle = 'rgba(255,255,255,0.7)'; def.phases.forEach(ph=>{ if(ph.until > 0) ctx.fillRect(bx + bw*ph.until - 1, by, 2, 14); });
+      ctx.fillStyle = '#fff'; ctx.font = 'bold 14px monospace'; ctx.textAlign = 'center'; ctx.fillText(def.name || boss.type, W/2, by+38); ctx.textAlign = 'left';
+    }
+    // between waves: countdown to the next one
+    if(state.breakTimer > 0 && !state.gameOver){
+      ctx.textAlign = 'center'; ctx.fillStyle = '#cfeeff';
+      ctx.font = 'bold 36px monospace'; ctx.fillText(`WAVE ${state.wave}`, W/2, H/2 - 60);
+      ctx.font = '18px monospace'; ctx.fillText(`다음 웨이브까지 ${Math.ceil(state.breakTimer)}초`, W/2, H/2 - 28);
+      ctx.textAlign = 'left';
+    }
     // small debug
     ctx.fillStyle = 'rgba(255,255,255,0.06)'; ctx.fillRect(8, H-36, 340, 28);
     ctx.fillStyle = '#cfeeff'; ctx.font = '12px monospace'; ctx.fillText(`Enemies: ${state.enemies.length}  Bullets: ${state.bullets.length}  Wave: ${state.wave}`, 14, H-16);
+    // achievement toasts, newest lowest; each fades out over its last second
+    const now = performance.now();
+    toastsRef.current = toastsRef.current.filter(t=>now - t.at < TOAST_MS);
+    toastsRef.current.forEach((t,i,all)=>{
+      const y = H - 60 - (all.length-1-i)*58;
+      ctx.globalAlpha = Math.min(1, (TOAST_MS - (now - t.at))/1000);
+      ctx.fillStyle = 'rgba(20,16,0,0.85)'; ctx.fillRect(W-332, y-40, 320, 50);
+      ctx.fillStyle = '#ffd36b'; ctx.font = 'bold 15px monospace'; ctx.fillText(`🏆 업적 달성: ${t.name}`, W-320, y-20);
+      ctx.fillStyle = '#e6dcc0'; ctx.font = '12px monospace'; ctx.fillText(t.desc, W-320, y-2);
+      ctx.globalAlpha = 1;
+    });
     // joystick indicator
-    if(state.joystick.active){ ctx.beginPath(); ctx.globalAlpha=0.18; ctx.fillStyle='#8ad'; ctx.arc(state.joystick.cx, state.joystick.cy, 48,0,Math.PI*2); ctx.fill(); ctx.globalAlpha=0.4; ctx.beginPath(); ctx.arc(state.joystick.x, state.joystick.y, 28,0,Math.PI*2); ctx.fill(); ctx.globalAlpha=1; }
+    const joy = pointer.joystick;
+    if(joy && joy.active){ ctx.beginPath(); ctx.globalAlpha=0.18; ctx.fillStyle='#8ad'; ctx.arc(joy.cx, joy.cy, joy.size,0,Math.PI*2); ctx.fill(); ctx.globalAlpha=0.4; ctx.beginPath(); ctx.arc(joy.x, joy.y, joy.size*0.58,0,Math.PI*2); ctx.fill(); ctx.globalAlpha=1; }
+  }
+
+  // sim events -> sounds
+  function playEvents(events){
+    for(const ev of events){
+      const audio = audioRef.current;
+      if(ev.type==='shot') audio.playSound(`shot:${ev.weapon}`, WEAPONS[ev.weapon].sound);
+      else if(ev.type==='enemyShot') audio.play('enemyShot');
+      else if(ev.type==='kill') audio.play('explosion');
+      else if(ev.type==='explode') audio.play('blast');
+      else if(ev.type==='bossPhase') audio.play('bossPhase');
+      else if(ev.type==='hurt') audio.play('hurt');
+      else if(ev.type==='wave') audio.play('wave');
+    }
+  }
+
+  // one live tick: record the input snapshots (when the run is going) and feed those same snapshots to the sim
+  function stepLive(state){
+    const rec = recorderRef.current, mapper = mapperRef.current;
+    mapper.setPlayers(state.players.length);
+    const inputs = state.players.map(p=>mapper.read(p.id, p));
+    const snap = rec && simActive(state) ? rec.record(inputs) : inputs;
+    const events = updateGameLogic(state, snap);
+    if(!state.paused) mapper.endTick(); // keep buy/ready pressed during a pause for the tick that resumes
+    playEvents(events);
+    const over = events.some(ev=>ev.type==='gameOver');
+    const trk = trackerRef.current;
+    if(trk && trk.state===state){
+      trk.tracker.onEvents(events);
+      if(over) finishTrackedRun(); else if(events.some(ev=>ev.type==='waveClear')) saveProfile();
+    }
+    if(rec && over) submitRun(state, rec);
   }
 
   // --- Main loop ------------------------------------------------
   useEffect(()=>{
     let last = performance.now();
-    const canvas = canvasRef.current; const ctx = canvas.getContext('2d');
+    const canvas = canvasRef.current; if(!canvas) return; const ctx = canvas.getContext('2d');
     // set internal resolution
     canvas.width = gameStateRef.current.W; canvas.height = gameStateRef.current.H;
+    let acc = 0;
     function loop(){
-      const now = performance.now(); const dt = now - last; last = now;
+      const now = performance.now(); const dt = Math.min(now - last, 250); last = now; // clamp so a background tab doesn't fast-forward
+      // read input: gamepads are polled once per frame, everything else arrives as events
+      const mapper = mapperRef.current;
+      mapper.poll(navigator.getGamepads ? navigator.getGamepads() : []);
+      const net = netRef.current;
+      if(screen==='online'){
+        // online: the server simulates; we send one input per tick and draw its (predicted/interpolated) view
+        acc += dt;
+        while(acc >= TICK_MS){ if(net){ mapper.setPlayers(1); net.tick(mapper.read(0, net.me)); mapper.endTick(); } acc -= TICK_MS; }
+        const view = net && net.view();
+        if(net) net.flush();
+        syncShop(view, net ? [net.slot] : []);
+        if(view) renderStateToCanvas(view, ctx, mapper, 1); else ctx.clearRect(0,0,canvas.width,canvas.height);
+        syncMusic(view, !!view && !view.gameOver);
+        rafRef.current = requestAnimationFrame(loop);
+        return;
+      }
+      const rp = replayRef.current, live = !rp && screen==='play'; // a live run only steps on its own screen
+      // fixed-step simulation: run as many TICK_MS steps as real time allows, render the remainder interpolated
+      acc += rp ? (rp.paused ? 0 : dt*rp.speed) : dt;
+      while(acc >= TICK_MS){ if(rp) stepReplay(false); else if(live) stepLive(gameStateRef.current); acc -= TICK_MS; }
       const state = gameStateRef.current;
-      // read input
-      const input = inputRef.current;
-      updateGameLogic(state, input);
-      renderStateToCanvas(state, ctx, input);
+      if(rp){ const t = state.tick; if(t!==rp.shownTick && (t%6===0 || t>=rp.inputs.length)){ rp.shownTick = t; setReplayTick(t); } }
+      syncShop(live ? state : null, state.players.map(p=>p.id));
+      renderStateToCanvas(state, ctx, live ? mapper : {}, simActive(state) ? acc/TICK_MS : 1); // paused/over: prev positions are stale
+      syncMusic(state, simActive(state) && !(rp && rp.paused));
       rafRef.current = requestAnimationFrame(loop);
     }
     rafRef.current = requestAnimationFrame(loop);
-    return ()=> cancelAnimationFrame(rafRef.current);
-  },[]);
+    return ()=>{ cancelAnimationFrame(rafRef.current); audioRef.current.music.stop(); };
+  },[screen]);
 
   // --- Input handling (mouse & touch & keyboard) -----------------
+  // raw events only: what they mean (bindings, touch zones, which player) is the mapper's business
   useEffect(()=>{
     const canvas = canvasRef.current; if(!canvas) return;
-    function onMouseMove(e){ const rect=canvas.getBoundingClientRect(); const scaleX = canvas.width/rect.width; const scaleY = canvas.height/rect.height; inputRef.current.aimX = (e.clientX - rect.left)*scaleX; inputRef.current.aimY = (e.clientY - rect.top)*scaleY; }
-    function onMouseDown(e){ inputRef.current.fire = true; }
-    function onMouseUp(e){ inputRef.current.fire = false; }
+    const mapper = mapperRef.current;
+    function canvasPos(p){ const rect=canvas.getBoundingClientRect(); const scaleX = canvas.width/rect.width; const scaleY = canvas.height/rect.height; return { x: (p.clientX - rect.left)*scaleX, y: (p.clientY - rect.top)*scaleY } }
+    function onMouseMove(e){ const pos = canvasPos(e); mapper.pointerMove(pos.x, pos.y); }
+    function onMouseDown(e){ mapper.pointerButton(true); }
+    function onMouseUp(e){ mapper.pointerButton(false); }
     canvas.addEventListener('mousemove', onMouseMove); canvas.addEventListener('mousedown', onMouseDown); window.addEventListener('mouseup', onMouseUp);
 
-    // keyboard
-    function onKeyDown(e){ const k = e.key.toLowerCase(); if(k==='w' || k==='arrowup') inputRef.current.up=true; if(k==='s' || k==='arrowdown') inputRef.current.down=true; if(k==='a' || k==='arrowleft') inputRef.current.left=true; if(k==='d' || k==='arrowright') inputRef.current.right=true; if(k===' '){ inputRef.current.fire=true; e.preventDefault(); } if(k==='p') { const s = gameStateRef.current; s.paused = !s.paused; } }
-    function onKeyUp(e){ const k = e.key.toLowerCase(); if(k==='w' || k==='arrowup') inputRef.current.up=false; if(k==='s' || k==='arrowdown') inputRef.current.down=false; if(k==='a' || k==='arrowleft') inputRef.current.left=false; if(k==='d' || k==='arrowright') inputRef.current.right=false; if(k===' '){ inputRef.current.fire=false; } }
-    window.addEventListener('keydown', onKeyDown); window.addEventListener('keyup', onKeyUp);
-
-    // touch: implement two regions: left half joystick, right half fire/aim
-    function getTouchPos(t){ const rect=canvas.getBoundingClientRect(); const scaleX = canvas.width/rect.width; const scaleY = canvas.height/rect.height; return { x: (t.clientX - rect.left)*scaleX, y: (t.clientY - rect.top)*scaleY } }
-    function onTouchStart(e){ e.preventDefault(); for(const t of e.changedTouches){ const pos = getTouchPos(t); if(pos.x < canvas.width*0.45){ // joystick
-          touchIdsRef.current[t.identifier] = 'joy'; const s = gameStateRef.current; s.joystick.active = true; s.joystick.cx = pos.x; s.joystick.cy = pos.y; s.joystick.x = pos.x; s.joystick.y = pos.y;
-        } else { touchIdsRef.current[t.identifier] = 'fire'; gameStateRef.current.touchFire = true; // aim towards touch point
-          inputRef.current.aimX = pos.x; inputRef.current.aimY = pos.y;
-        } }
-    }
-    function onTouchMove(e){ e.preventDefault(); for(const t of e.changedTouches){ const mode = touchIdsRef.current[t.identifier]; if(!mode) continue; const pos = getTouchPos(t); if(mode==='joy'){ const s=gameStateRef.current; s.joystick.x = pos.x; s.joystick.y = pos.y; } else if(mode==='fire'){ inputRef.current.aimX = pos.x; inputRef.current.aimY = pos.y; } }
-    }
-    function onTouchEnd(e){ e.preventDefault(); for(const t of e.changedTouches){ const mode = touchIdsRef.current[t.identifier]; if(mode==='joy'){ const s=gameStateRef.current; s.joystick.active=false; } else if(mode==='fire'){ gameStateRef.current.touchFire=false; } delete touchIdsRef.current[t.identifier]; } }
+    function onKeyDown(e){ if(!isTyping(e) && mapper.keyDown(e.code, e.repeat)) e.preventDefault(); }
+    function onKeyUp(e){ mapper.keyUp(e.code); }
+    function onBlur(){ mapper.releaseAll(); }
+    window.addEventListener('keydown', onKeyDown); window.addEventListener('keyup', onKeyUp); window.addEventListener('blur', onBlur);
+
+    function onTouchStart(e){ e.preventDefault(); for(const t of e.changedTouches){ const pos = canvasPos(t); mapper.touchStart(t.identifier, pos.x, pos.y, canvas.width); } }
+    function onTouchMove(e){ e.preventDefault(); for(const t of e.changedTouches){ const pos = canvasPos(t); mapper.touchMove(t.identifier, pos.x, pos.y); } }
+    function onTouchEnd(e){ e.preventDefault(); for(const t of e.changedTouches) mapper.touchEnd(t.identifier); }
     canvas.addEventListener('touchstart', onTouchStart, {passive:false}); canvas.addEventListener('touchmove', onTouchMove, {passive:false}); canvas.addEventListener('touchend', onTouchEnd, {passive:false}); canvas.addEventListener('touchcancel', onTouchEnd, {passive:false});
 
     return ()=>{
       canvas.removeEventListener('mousemove', onMouseMove); canvas.removeEventListener('mousedown', onMouseDown); window.removeEventListener('mouseup', onMouseUp);
-      window.removeEventListener('keydown', onKeyDown); window.removeEventListener('keyup', onKeyUp);
-      canvas.removeEventListener('touchstart', onTouchStart); canvas.removeEventListener('touchmove', onTouchMove); canvas.removeEventListener('touchend', onTouchEnd);
+      window.removeEventListener('keydown', onKeyDown); window.removeEventListener('keyup', onKeyUp); window.removeEventListener('blur', onBlur);
+      canvas.removeEventListener('touchstart', onTouchStart); canvas.removeEventListener('touchmove', onTouchMove); canvas.removeEventListener('touchend', onTouchEnd); canvas.removeEventListener('touchcancel', onTouchEnd);
     }
-  },[]);
+  },[screen]);
 
   // --- Controls exposed to UI ----------------------------------
-  function startGame(){ const s = makeInitialGameState(); s.running = true; s.player.x = s.W/2; s.player.y = s.H/2; gameStateRef.current = s; // rebind canvas size
-    const canvas = canvasRef.current; canvas.width = s.W; canvas.height = s.H; setScreen('play'); }
+  function newRun(seed, players=1){ return startRun({ seed, players }); }
+  // mode: 'solo' | 'coop' (two players on this screen)
+  function startGame(mode='solo'){ const s = newRun(undefined, mode==='coop' ? 2 : 1); gameStateRef.current = s; trackRun(mode, s.seed, 0, s); recorderRef.current = createRecorder(s.seed, s.players.length); replayRef.current = null; mapperRef.current.setPlayers(s.players.length); mapperRef.current.endTick(); // drop presses left from a paused run; rebind canvas size
+    const canvas = canvasRef.current; if(canvas){ canvas.width = s.W; canvas.height = s.H; } setScreen('play'); }
+
+  // leaving the play screen pauses the run there, so it can't go on (and die, and be submitted) unseen
+  useEffect(()=>{ if(screen!=='play' && !replayRef.current) gameStateRef.current.paused = true; },[screen]);
 
   function pauseToggle(){ const s = gameStateRef.current; s.paused = !s.paused; }
+  function endGame(){ const s = gameStateRef.current; s.running = false; s.gameOver = true; const trk = trackerRef.current; if(trk && trk.state===s) finishTrackedRun(); }
+
+  // --- Shop & weapons -------------------------------------------
+  // Purchases, weapon swaps and "ready" go through the input like everything else, so the recorder
+  // (and the online server) see them on the tick they happen.
+  // player: index in the game's players (online: our own slot — there is only one local input)
+  function queueInput(player, field, value){ mapperRef.current.queue(netRef.current ? 0 : player, field, value); }
+
+  // players the panel may show (only our own online); re-renders only when something shown changes
+  function syncShop(state, slots){
+    const open = !!state && state.running!==false && state.breakTimer > 0 && !state.gameOver; // online views have no `running`
+    const players = open ? state.players.filter(p=>slots.includes(p.id) && !p.downed).map(p=>({ id:p.id, hp:p.hp, maxHp:p.maxHp, credits:p.credits, weapon:p.weapon, ammo:p.ammo, upgrades:p.upgrades, ready:p.ready })) : [];
+    const key = open && players.length ? JSON.stringify([state.wave, players]) : '';
+    if(key===shopKeyRef.current) return;
+    shopKeyRef.current = key; setShop(key ? { wave: state.wave, players } : null);
+  }
+
+  // weapon-swap button (touch): next weapon of the local player
+  function swapWeapon(){ mapperRef.current.press(0, 'nextWeapon'); }
+
+  function renderShop(){
+    if(!shop) return null;
+    return (
+      <div className="absolute inset-x-4 bottom-4 bg-black/75 rounded p-3 text-sm">
+        <div className="font-semibold mb-2">상점 — 웨이브 {shop.wave} 시작 전</div>
+        <div className="grid gap-3" style={{ gridTemplateColumns:`repeat(${shop.players.length}, 1fr)` }}>
+          {shop.players.map(p=>(
+            <div key={p.id}>
+              <div className="mb-1">P{p.id+1} · 크레딧 <strong>{p.credits}</strong> · {weaponLabel(p)}</div>
+              <div className="flex flex-wrap gap-1">
+                {SHOP_ITEMS.map((item,i)=>{ const blocked = buyBlocker(p, item); return (
+                  <button key={item.id} disabled={!!blocked} className={`px-2 py-1 rounded ${blocked ? 'bg-slate-800 text-slate-500' : 'bg-emerald-700'}`} onClick={()=>queueInput(p.id, 'buy', i+1)}>{item.name} · {blocked || itemPrice(p, item)}</button>
+                ); })}
+                <button disabled={p.ready} className={`px-2 py-1 rounded ${p.ready ? 'bg-slate-800 text-slate-500' : 'bg-sky-700'}`} onClick={()=>queueInput(p.id, 'ready', true)}>{p.ready ? '준비됨' : '준비 완료'}</button>
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+    );
+  }
+
+  // --- Replays ------------------------------------------------
+  function downloadReplay(){
+    const rec = recorderRef.current; if(!rec || !rec.ticks) return;
+    const replay = rec.toReplay();
+    const url = URL.createObjectURL(new Blob([serializeReplay(replay)], { type:'application/json' }));
+    const a = document.createElement('a'); a.href = url; a.download = `totalshooter-replay-${replay.seed}.json`; a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  function loadReplayFile(file){
+    if(!file) return;
+    file.text().then(text=>{
+      const replay = parseReplay(text);
+      replayRef.current = { replay, inputs: decodeInputs(replay), speed: 1, paused: false, shownTick: 0 };
+      gameStateRef.current = newRun(replay.seed, replay.players);
+      setReplayError(''); setReplayTick(0); setReplaySpeed(1); setReplayPaused(false);
+      setReplayInfo({ seed: replay.seed, ticks: replay.ticks, warning: isVersionMismatch(replay) ? `다른 게임 버전(sim v${replay.simVersion})으로 녹화된 리플레이입니다. 재생 결과가 원래 게임과 다를 수 있습니다.` : '' });
+    }).catch(err=>{ replayRef.current = null; setReplayInfo(null); setReplayError(err.message); });
+  }
+
+  // advance the replay by one tick using the recorded input; false once the recording has run out
+  function stepReplay(silent){
+    const rp = replayRef.current; const s = gameStateRef.current;
+    const input = rp.inputs[s.tick];
+    if(!input || !simActive(s)) return false;
+    const events = updateGameLogic(s, input);
+    if(!silent) playEvents(events);
+    return true;
+  }
+
+  // seeking re-simulates from the seed (backwards) or fast-forwards silently (forwards)
+  function seekReplay(tick){
+    const rp = replayRef.current; if(!rp) return;
+    if(tick < gameStateRef.current.tick) gameStateRef.current = newRun(rp.replay.seed, rp.replay.players);
+    while(gameStateRef.current.tick < tick && stepReplay(true));
+    rp.shownTick = gameStateRef.current.tick; setReplayTick(rp.shownTick);
+  }
+
+  function setReplayPlayback(speed, paused){ const rp = replayRef.current; if(!rp) return; rp.speed = speed; rp.paused = paused; setReplaySpeed(speed); setReplayPaused(paused); }
+
+  function formatTicks(t){ const sec = Math.floor(t/TICK_RATE); return `${Math.floor(sec/60)}:${String(sec%60).padStart(2,'0')}`; }
+
+  // --- Online (server/game-server.js) -----------------------------
+  // action: 'create' | 'join' | 'resume' (rejoin the seat remembered for this tab, if any)
+  function connectOnline(action){
+    if(netRef.current) netRef.current.leave();
+    const net = createNetClient({ url: serverUrl, name: playerNameRef.current });
+    net.on('status', status=>setOnline(o=>({ ...o, status })));
+    net.on('joined', msg=>setOnline(o=>({ ...o, memberId: msg.memberId, error:'' })));
+    net.on('lobby', lobby=>setOnline(o=>({ ...o, lobby })));
+    net.on('error', msg=>setOnline(o=>({ ...o, error: `${msg.code}: ${msg.message}` })));
+    // a rejoin re-sends `start` for the same run: keep tracking it rather than filing it half-done
+    net.on('start', msg=>{ const trk = trackerRef.current; if(!(trk && trk.mode==='online' && trk.seed===msg.seed)) trackRun('online', msg.seed, msg.slot, null); });
+    net.on('events', events=>{
+      playEvents(events);
+      const trk = trackerRef.current; if(!trk || trk.mode!=='online') return;
+      trk.tracker.onEvents(events);
+      if(events.some(ev=>ev.type==='gameOver')) finishTrackedRun(); else if(events.some(ev=>ev.type==='waveClear')) saveProfile();
+    });
+    netRef.current = net;
+    if(action==='create') net.createRoom();
+    else if(action==='join') net.joinRoom(roomCodeInput.trim());
+    else if(!net.resume()) netRef.current = null;
+  }
+
+  function leaveOnline(){
+    const trk = trackerRef.current; if(trk && trk.mode==='online') finishTrackedRun();
+    if(netRef.current){ netRef.current.leave(); netRef.current = null; }
+    setOnline({ status:'idle', lobby:null, memberId:null, error:'' });
+  }
+  useEffect(()=>{ if(screen==='online'){ if(!netRef.current) connectOnline('resume'); } else if(netRef.current) leaveOnline(); },[screen]);
+
+  // --- Settings (input/settings.js) ------------------------------
+  function updateSettings(next){ mapperRef.current.setSettings(next); saveSettings(next); setSettings(next); }
 
-  function submitScore(){ // push to firebase if configured
-    if(!FIREBASE_CONFIG){ alert('백엔드(Firebase) 설정이 필요합니다. 파일 상단 FIREBASE_CONFIG에 값을 넣으세요.'); return; }
-    // implementation omitted in this bundle — replace with your firebase push logic
+  // waiting for a new binding: the next key (keyboard columns) or newly pressed gamepad button (gamepad column).
+  // Esc cancels, Backspace/Delete unbinds.
+  useEffect(()=>{
+    if(!rebind) return;
+    const { device, player, action } = rebind;
+    const finish = value=>{ if(value!==undefined) updateSettings(bindAction(mapperRef.current.settings, device, player, action, value)); setRebind(null); };
+    function onKeyDown(e){
+      e.preventDefault();
+      if(e.code==='Escape') finish(undefined);
+      else if(e.code==='Backspace' || e.code==='Delete') finish(null);
+      else if(device==='keyboard') finish(e.code);
+    }
+    window.addEventListener('keydown', onKeyDown);
+    let raf = 0, held = null;
+    if(device==='gamepad'){
+      const pressedButtons = ()=>Array.from(navigator.getGamepads ? navigator.getGamepads() : []).filter(Boolean).flatMap(pad=>pad.buttons.map((b,i)=>b.pressed ? i : -1)).filter(i=>i>=0);
+      const watch = ()=>{
+        const now = pressedButtons();
+        if(held===null) held = now; // buttons already down when listening started don't count
+        const fresh = now.find(i=>!held.includes(i));
+        if(fresh!==undefined){ finish(fresh); return; }
+        held = now; raf = requestAnimationFrame(watch);
+      };
+      raf = requestAnimationFrame(watch);
+    }
+    return ()=>{ window.removeEventListener('keydown', onKeyDown); cancelAnimationFrame(raf); };
+  },[rebind]);
+  useEffect(()=>{ if(screen!=='settings') setRebind(null); },[screen]);
+
+  function renderSettings(){
+    const slider = (key, label, step, format)=>(
+      <label className="flex items-center gap-3">
+        <span className="w-40">{label}</span>
+        <input type="range" className="flex-1" min={LIMITS[key][0]} max={LIMITS[key][1]} step={step} value={settings[key]} onChange={e=>updateSettings({ ...settings, [key]: Number(e.target.value) })} />
+        <span className="w-16 text-right">{format(settings[key])}</span>
+      </label>
+    );
+    const toggle = (key, label)=>(<label className="flex items-center gap-2"><input type="checkbox" checked={settings[key]} onChange={e=>updateSettings({ ...settings, [key]: e.target.checked })} />{label}</label>);
+    return (
+      <div className="bg-white/3 rounded p-6">
+        <h2 className="text-xl font-semibold">조작 설정</h2>
+        <p className="mt-1 text-sm text-slate-400">칸을 누른 뒤 새 키(게임패드 칸은 패드 버튼)를 누르세요. Esc 취소, Backspace 해제. 이미 쓰이던 키는 원래 동작에서 해제됩니다. 설정은 이 브라우저에 저장됩니다.</p>
+        <table className="mt-3 w-full text-sm">
+          <thead><tr className="text-slate-400"><th className="text-left py-1">동작</th>{BINDING_COLUMNS.map(([,,label])=>(<th key={label} className="py-1">{label}</th>))}</tr></thead>
+          <tbody>
+            {ACTIONS.map(a=>(
+              <tr key={a.id}>
+                <td className="py-1">{a.label}</td>
+                {BINDING_COLUMNS.map(([device, player, label])=>{
+                  const listening = rebind && rebind.device===device && rebind.player===player && rebind.action===a.id;
+                  const value = device==='gamepad' ? settings.gamepad[a.id] : settings.keyboard[player][a.id];
+                  return (<td key={label} className="py-1 text-center"><button className={`w-32 px-2 py-1 rounded ${listening ? 'bg-amber-600' : 'bg-slate-700'}`} onClick={()=>setRebind(listening ? null : { device, player, action:a.id })}>{listening ? '입력 대기…' : device==='gamepad' ? buttonLabel(value) : keyLabel(value)}</button></td>);
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <div className="mt-5 space-y-3 text-sm">
+          {slider('deadzone', '게임패드 데드존', 0.05, v=>`${Math.round(v*100)}%`)}
+          {toggle('swapSticks', '스틱 바꾸기 (오른쪽 스틱 이동, 왼쪽 스틱 조준)')}
+          {slider('joystickSize', '터치 조이스틱 크기', 4, v=>`${v}px`)}
+          {slider('touchSplit', '조이스틱 영역 너비', 0.05, v=>`${Math.round(v*100)}%`)}
+          {toggle('leftHanded', '왼손 모드 (조이스틱 오른쪽, 조준·발사 왼쪽)')}
+        </div>
+        <button className="mt-5 px-3 py-2 bg-slate-700 rounded" onClick={()=>updateSettings(normalizeSettings(null))}>기본값으로 되돌리기</button>
+      </div>
+    );
+  }
+
+  // --- Profiles (profile/) ---------------------------------------
+  // The active profile plays as player 0 locally (P1 in co-op) and as our own slot online. Its run tracker
+  // counts the run's sim events into the profile as they happen; the run is filed in its history on game
+  // over, End, leaving the screen, starting another run or closing the page — whichever comes first.
+  function loadProfiles(){
+    const store = profileStoreRef.current = createProfileStore();
+    store.list().then(async list=>{
+      if(!list.length){ list = [newProfile()]; await store.save(list[0]); }
+      setProfiles(list); selectProfile(list.find(p=>p.id===store.activeId()) || list[0]);
+    }).catch(err=>setProfileError(`프로필을 불러오지 못했습니다: ${err.message}`));
+  }
+
+  function selectProfile(p){
+    if(profileRef.current && profileRef.current!==p) finishTrackedRun(); // the run so far belongs to the old profile
+    profileRef.current = p; profileStoreRef.current.setActiveId(p.id); setProfile({ ...p });
+  }
+
+  function saveProfile(){
+    const p = profileRef.current; if(!p) return;
+    profileStoreRef.current.save(p).catch(err=>setProfileError(`프로필 저장 실패: ${err.message}`));
+    setProfile({ ...p }); setProfiles(list=>list.slice());
+  }
+
+  // from the name field's blur: typing only edits nameDraft, so saves in between (wave clears) never see a half-typed name
+  function renameProfile(name){
+    setNameDraft(null);
+    const p = profileRef.current; if(!p) return;
+    p.name = cleanName(name); saveProfile();
+  }
+
+  function createProfile(name){
+    const p = newProfile(name);
+    profileStoreRef.current.save(p).then(()=>{ setProfiles(list=>[...list, p]); selectProfile(p); setNewProfileName(''); setProfileError(''); })
+      .catch(err=>setProfileError(`프로필 저장 실패: ${err.message}`));
+  }
+
+  function deleteProfile(id){
+    const p = profiles.find(q=>q.id===id); if(!p || !window.confirm(`프로필 "${p.name}"을(를) 삭제할까요? 기록과 업적이 모두 사라집니다.`)) return;
+    const store = profileStoreRef.current, rest = profiles.filter(q=>q!==p);
+    store.remove(id).catch(err=>setProfileError(`프로필 삭제 실패: ${err.message}`));
+    if(p===profileRef.current){
+      trackerRef.current = null; profileRef.current = null; // the run in progress goes with it
+      if(!rest.length){ rest.push(newProfile()); store.save(rest[0]).catch(err=>setProfileError(`프로필 저장 실패: ${err.message}`)); }
+      selectProfile(rest[0]);
+    }
+    setProfiles(rest);
+  }
+
+  function downloadProfile(){
+    const p = profileRef.current; if(!p) return;
+    const url = URL.createObjectURL(new Blob([exportProfile(p)], { type:'application/json' }));
+    const a = document.createElement('a'); a.href = url; a.download = `totalshooter-profile-${p.name}.json`; a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  // an imported profile is added alongside the others (parseProfile gives it a fresh id) and becomes active
+  function importProfileFile(file){
+    if(!file) return;
+    file.text().then(parseProfile).then(p=>profileStoreRef.current.save(p).then(()=>{ setProfiles(list=>[...list, p]); selectProfile(p); setProfileError(''); }))
+      .catch(err=>setProfileError(err.message));
+  }
+
+  // start tracking a run for the active profile (filing whatever run was tracked before)
+  // state: the local game state, or null online (where the net client's view is read instead)
+  function trackRun(mode, seed, player, state){
+    finishTrackedRun();
+    const p = profileRef.current; if(!p) return;
+    trackerRef.current = { tracker: createRunTracker(p, player, { onUnlock: announceUnlock }), mode, seed, player, state, startedAt: performance.now() };
+  }
+
+  function finishTrackedRun(){
+    const trk = trackerRef.current; if(!trk) return;
+    trackerRef.current = null;
+    if(trk.state && !trk.state.tick) return; // never got going
+    const view = trk.state || (netRef.current && netRef.current.view()), me = view && view.players[trk.player];
+    trk.tracker.finish({ mode: trk.mode, seed: trk.seed, wave: Math.max(trk.tracker.run.wave, view ? view.wave : 0), score: me ? me.score : 0, teamScore: view ? teamScore(view) : 0,
+      seconds: trk.state ? trk.state.time : (performance.now() - trk.startedAt)/1000 });
+    saveProfile();
   }
 
-  // --- Minimal leaderboard mockup for demo (local) -------------
-  function addLocalScore(name, score){ const arr = [...scoreBoard, {name, score, date: new Date().toISOString()}].sort((a,b)=>b.score-a.score).slice(0,50); setScoreBoard(arr); }
+  function announceUnlock(def){ toastsRef.current.push({ name: def.name, desc: def.desc, at: performance.now() }); audioRef.current.play('unlock'); saveProfile(); }
+
+  // leaving the play screen abandons a local run: file it now rather than at the next start
+  useEffect(()=>{ const trk = trackerRef.current; if(screen!=='play' && trk && trk.state) finishTrackedRun(); },[screen]);
+
+  function renderProfile(){
+    if(!profile) return (<div className="bg-white/3 rounded p-6 text-slate-300">{profileError || '프로필을 불러오는 중...'}</div>);
+    const st = profile.stats, totalKills = Object.values(st.kills).reduce((sum,n)=>sum + n, 0);
+    const stat = (label, value)=>(<div className="bg-black/20 rounded p-2"><div className="text-xs text-slate-400">{label}</div><div className="text-lg">{value}</div></div>);
+    return (
+      <div className="bg-white/3 rounded p-6">
+        <h2 className="text-xl font-semibold">프로필</h2>
+        <div className="mt-3 flex flex-wrap items-center gap-2">
+          {profiles.map(p=>(<button key={p.id} className={`px-3 py-2 rounded ${p.id===profile.id ? 'bg-teal-600' : 'bg-slate-700'}`} onClick={()=>selectProfile(p)}>{p.name}</button>))}
+          <input className="px-2 py-2 rounded bg-black/20 w-40" placeholder="새 프로필 이름" value={newProfileName} onChange={e=>setNewProfileName(e.target.value)} />
+          <button className="px-3 py-2 bg-green-600 rounded" onClick={()=>createProfile(newProfileName)}>만들기</button>
+        </div>
+        <div className="mt-3 flex flex-wrap items-center gap-2 text-sm">
+          <label>이름: <input className="ml-2 px-2 py-1 rounded bg-black/20" value={nameDraft ?? profile.name} onChange={e=>setNameDraft(e.target.value)} onBlur={e=>renameProfile(e.target.value)} /></label>
+          <button className="px-3 py-1 bg-sky-700 rounded" onClick={downloadProfile}>내보내기 (JSON)</button>
+          <label className="px-3 py-1 bg-sky-700 rounded cursor-pointer">가져오기<input type="file" accept=".json,application/json" hidden onChange={e=>{ importProfileFile(e.target.files[0]); e.target.value = ''; }} /></label>
+          <button className="px-3 py-1 bg-rose-700 rounded" onClick={()=>deleteProfile(profile.id)}>삭제</button>
+        </div>
+        {profileError && <div className="mt-2 text-rose-400">{profileError}</div>}
+
+        <h3 className="mt-5 font-semibold">통산 기록</h3>
+        <div className="mt-2 grid grid-cols-2 md:grid-cols-4 gap-2 text-sm">
+          {stat('플레이', `${st.runs}판`)}{stat('플레이 시간', formatSeconds(st.timePlayed))}{stat('최고 웨이브', st.bestWave)}{stat('최고 점수', st.bestScore)}
+          {stat('처치', totalKills)}{stat('명중률', `${Math.round(accuracyOf(st)*100)}% (${st.shotsHit}/${st.shotsFired})`)}{stat('받은 피해', st.damageTaken)}{stat('쓰러짐 / 부활시킴', `${st.downs} / ${st.revives}`)}
+        </div>
+        <h3 className="mt-5 font-semibold">적 종류별 처치</h3>
+        <div className="mt-2 flex flex-wrap gap-2 text-sm">
+          {Object.entries(ENEMY_TYPES).map(([type, def])=>(<span key={type} className="px-2 py-1 rounded bg-black/20">{def.name || type} <strong>{st.kills[type] || 0}</strong></span>))}
+        </div>
+
+        <h3 className="mt-5 font-semibold">업적 ({ACHIEVEMENTS.filter(a=>profile.achievements[a.id]).length}/{ACHIEVEMENTS.length})</h3>
+        <div className="mt-2 grid md:grid-cols-2 gap-2 text-sm">
+          {ACHIEVEMENTS.map(a=>{ const at = profile.achievements[a.id], prog = progressOf(a, st); return (
+            <div key={a.id} className={`rounded p-2 ${at ? 'bg-amber-900/40' : 'bg-black/20 text-slate-400'}`}>
+              <div className="font-semibold">{at ? '🏆' : '🔒'} {a.name}</div>
+              <div>{a.desc}</div>
+              <div className="mt-1 text-xs">{at ? `${new Date(at).toLocaleDateString()} 달성` : prog.target > 1 ? `${Math.min(prog.value, prog.target)} / ${prog.target}` : '한 판 안에 달성'}</div>
+            </div>
+          ); })}
+        </div>
+
+        <h3 className="mt-5 font-semibold">최근 기록</h3>
+        {profile.history.length ? (
+          <table className="mt-2 w-full text-sm">
+            <thead><tr className="text-slate-400"><th className="text-left py-1">날짜</th><th>모드</th><th>웨이브</th><th>점수</th><th>처치</th><th>명중률</th><th>받은 피해</th><th>시간</th></tr></thead>
+            <tbody>
+              {profile.history.slice(0, 20).map((r,i)=>(
+                <tr key={i} className="text-center">
+                  <td className="text-left py-1">{new Date(r.at).toLocaleString()}</td><td>{MODE_LABELS[r.mode] || r.mode}</td><td>{r.wave}</td>
+                  <td>{r.score}{r.teamScore!==r.score ? <span className="text-slate-500"> (팀 {r.teamScore})</span> : null}</td><td>{r.kills}</td>
+                  <td>{Math.round(accuracyOf(r)*100)}%</td><td>{r.damageTaken}</td><td>{formatSeconds(r.seconds)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : <p className="mt-2 text-slate-400">아직 기록이 없습니다.</p>}
+      </div>
+    );
+  }
+
+  // --- Leaderboard ---------------------------------------------
+  function makeLeaderboard(){
+    // if (FIREBASE_CONFIG) return createFirebaseLeaderboard(firebaseDb.getDatabase(initializeApp(FIREBASE_CONFIG)), firebaseDb);
+    if(LEADERBOARD_URL) return createRestLeaderboard({ baseUrl: LEADERBOARD_URL });
+    return createLocalLeaderboard();
+  }
+
+  function loadBoard(period=boardPeriod){
+    const board = leaderboardRef.current; if(!board) return;
+    board.top(period, 20).then(setScoreBoard).catch(err=>setSubmitStatus(`랭킹을 불러오지 못했습니다: ${err.message}`));
+    board.rankOf(playerNameRef.current, period).then(setMyRank).catch(()=>setMyRank(null));
+  }
+  useEffect(()=>{ loadBoard(boardPeriod); },[boardPeriod, screen]);
+
+  // called once when a recorded run ends in gameOver
+  async function submitRun(state, rec){
+    const board = leaderboardRef.current; if(!board) return;
+    setSubmitStatus('점수 등록 중...');
+    try {
+      // the seed + input log ride along so a server can re-simulate the run before accepting it
+      const replay = rec.toReplay();
+      const replayHash = await hashReplay(replay);
+      const score = teamScore(state); // co-op runs are ranked by the team total
+      const { ranks } = await board.submit({ name: playerNameRef.current, score, wave: state.wave, players: state.players.length, durationMs: state.time*1000, deathTick: state.tick, replayHash, replay });
+      setSubmitStatus(`점수 ${score} 등록 완료 — ` + PERIODS.map(p=>`${PERIOD_LABELS[p]} ${ranks[p] ?? '-'}위`).join(' · '));
+      loadBoard();
+    } catch(err){ setSubmitStatus(`점수 등록 실패: ${err.message}`); }
+  }
 
   // quick UI render
   return (
@@ -287,6 +735,10 @@ export default function TotalShooterApp(){
           <button className="px-3 py-2 bg-indigo-600 rounded" onClick={()=>setScreen('home')}>홈</button>
           <button className="px-3 py-2 bg-green-600 rounded" onClick={()=>startGame()}>플레이</button>
           <button className="px-3 py-2 bg-amber-600 rounded" onClick={()=>setScreen('leaderboard')}>랭킹</button>
+          <button className="px-3 py-2 bg-fuchsia-700 rounded" onClick={()=>{ replayRef.current = null; setReplayInfo(null); setScreen('replay'); }}>리플레이</button>
+          <button className="px-3 py-2 bg-cyan-700 rounded" onClick={()=>setScreen('online')}>온라인</button>
+          <button className="px-3 py-2 bg-teal-700 rounded" onClick={()=>setScreen('profile')}>프로필</button>
+          <button className="px-3 py-2 bg-slate-600 rounded" onClick={()=>setScreen('settings')}>설정</button>
         </nav>
       </header>
 
@@ -303,7 +755,8 @@ export default function TotalShooterApp(){
                 <li>스프라이트: 벡터 기반으로 캔버스에 직접 렌더링</li>
               </ul>
               <div className="mt-4 flex gap-2">
-                <button className="px-4 py-2 bg-green-600 rounded" onClick={startGame}>지금 플레이</button>
+                <button className="px-4 py-2 bg-green-600 rounded" onClick={()=>startGame('solo')}>지금 플레이</button>
+                <button className="px-4 py-2 bg-pink-600 rounded" onClick={()=>startGame('coop')}>2인 협동</button>
                 <button className="px-4 py-2 bg-slate-700 rounded" onClick={()=>{ const s = makeInitialGameState(); s.running=false; gameStateRef.current = s; setScreen('play'); }}>데모 화면 보기</button>
               </div>
             </div>
@@ -314,14 +767,84 @@ export default function TotalShooterApp(){
               <div className="relative">
                 <canvas ref={canvasRef} style={{width:'100%', borderRadius:12, touchAction:'none'}} />
                 <div className="absolute left-4 top-4 text-slate-300 bg-black/30 px-3 py-2 rounded">
-                  <div>이름: <input className="ml-2 px-2 rounded bg-black/20" value={playerName} onChange={e=>setPlayerName(e.target.value)} /></div>
+                  <div>이름: <input className="ml-2 px-2 rounded bg-black/20" value={nameDraft ?? playerName} disabled={!profile} onChange={e=>setNameDraft(e.target.value)} onBlur={e=>renameProfile(e.target.value)} /></div>
                 </div>
                 <div className="absolute right-4 top-4 flex gap-2">
                   <button className="px-3 py-2 bg-yellow-600 rounded" onClick={pauseToggle}>Pause</button>
-                  <button className="px-3 py-2 bg-red-600 rounded" onClick={()=>{ const s=gameStateRef.current; s.running=false; s.gameOver=true; }}>End</button>
+                  <button className="px-3 py-2 bg-slate-700 rounded" onClick={toggleMute} title={audioSettings.muted ? '음소거 해제' : '음소거'}>{audioSettings.muted ? '🔇' : '🔊'}</button>
+                  <button className="px-3 py-2 bg-red-600 rounded" onClick={endGame}>End</button>
+                  <button className="px-3 py-2 bg-fuchsia-700 rounded" onClick={downloadReplay}>리플레이 저장</button>
                 </div>
+                <button className="absolute right-4 bottom-4 px-3 py-2 bg-slate-700/80 rounded" onClick={swapWeapon} hidden={!!shop}>무기 교체</button>
+                {renderShop()}
+              </div>
+              <div className="mt-2 text-slate-300">Controls: {moveKeysLabel(settings.keyboard[0])} / {moveKeysLabel(settings.keyboard[1])} — Move • Click / Tap / {keyLabel(settings.keyboard[0].fire)} — Fire • {keyLabel(settings.keyboard[0].nextWeapon)} — 다음 무기 • 게임패드: 왼쪽 스틱 이동, 오른쪽 스틱 조준, {buttonLabel(settings.gamepad.fire)} 발사. 모바일: {settings.leftHanded ? '오른쪽' : '왼쪽'} 영역 조이스틱, 나머지 터치로 조준·발사, 무기 교체 버튼. 키는 설정 화면에서 바꿀 수 있습니다.</div>
+              <div className="mt-1 text-slate-400 text-sm">웨이브 사이에는 처치로 모은 크레딧으로 상점에서 무기·업그레이드를 살 수 있습니다 (점수는 줄지 않습니다).</div>
+              <div className="mt-1 text-slate-400 text-sm">2인 협동: P1 {moveKeysLabel(settings.keyboard[0])} + 마우스, P2 {moveKeysLabel(settings.keyboard[1])} + {keyLabel(settings.keyboard[1].fire)} (또는 게임패드, {buttonLabel(settings.gamepad.nextWeapon)} 무기 교체). 쓰러진 동료 옆에 {REVIVE_TIME}초간 서 있으면 부활합니다.</div>
+            </div>
+          )}
+
+          {screen === 'leaderboard' && (
+            <div className="bg-white/3 rounded p-6">
+              <h2 className="text-xl font-semibold">랭킹</h2>
+              <div className="mt-3 flex gap-2">
+                {PERIODS.map(p=>(<button key={p} className={`px-3 py-2 rounded ${boardPeriod===p ? 'bg-amber-600' : 'bg-slate-700'}`} onClick={()=>setBoardPeriod(p)}>{PERIOD_LABELS[p]}</button>))}
               </div>
-              <div className="mt-2 text-slate-300">Controls: WASD / Arrow — Move • Click / Tap — Fire. 모바일: 왼쪽 영역 조이스틱, 오른쪽 터치로 조준·발사.</div>
+              <ol className="mt-4 list-decimal pl-5 text-slate-300">
+                {scoreBoard.map((s,i)=>(<li key={s.id || i}>{s.name} — {s.score} <span className="text-slate-500">(Wave {s.wave}, {Math.round(s.durationMs/1000)}s{s.players > 1 ? `, ${s.players}인 협동` : ''})</span></li>))}
+              </ol>
+              {!scoreBoard.length && <p className="mt-4 text-slate-400">아직 기록이 없습니다.</p>}
+              <p className="mt-4 text-slate-300">{playerName}님의 {PERIOD_LABELS[boardPeriod]} 순위: <strong>{myRank ? `${myRank}위` : '-'}</strong></p>
+            </div>
+          )}
+
+          {screen === 'online' && (
+            <div className="bg-white/3 rounded p-3">
+              {!online.lobby ? (
+                <div className="flex flex-wrap items-center gap-2 mb-2">
+                  <input className="px-2 py-2 rounded bg-black/20 w-64" value={serverUrl} onChange={e=>setServerUrl(e.target.value)} />
+                  <button className="px-3 py-2 bg-cyan-700 rounded" onClick={()=>connectOnline('create')}>방 만들기</button>
+                  <input className="px-2 py-2 rounded bg-black/20 w-24 uppercase" placeholder="코드" value={roomCodeInput} onChange={e=>setRoomCodeInput(e.target.value)} />
+                  <button className="px-3 py-2 bg-green-600 rounded" onClick={()=>connectOnline('join')}>참가</button>
+                </div>
+              ) : (
+                <div className="flex flex-wrap items-center gap-3 mb-2">
+                  <span>방 코드: <strong className="text-xl tracking-widest">{online.lobby.room}</strong></span>
+                  <span className="text-slate-300">{online.lobby.members.map(m=>`${m.name}${m.id===online.lobby.host ? ' (호스트)' : ''}${m.connected ? '' : ' (연결 끊김)'}`).join(', ')}</span>
+                  {online.lobby.phase==='lobby' && online.lobby.host===online.memberId && <button className="px-3 py-2 bg-green-600 rounded" disabled={online.lobby.members.length < 2} onClick={()=>netRef.current && netRef.current.startGame()}>게임 시작</button>}
+                  <button className="px-3 py-2 bg-slate-700 rounded" onClick={leaveOnline}>나가기</button>
+                </div>
+              )}
+              {online.status==='reconnecting' && <div className="mb-2 text-amber-400">서버 연결이 끊겼습니다. 재접속 중...</div>}
+              {online.error && <div className="mb-2 text-rose-400">{online.error}</div>}
+              <div className="relative">
+                <canvas ref={canvasRef} style={{width:'100%', borderRadius:12, touchAction:'none'}} />
+                <button className="absolute right-4 bottom-4 px-3 py-2 bg-slate-700/80 rounded" onClick={swapWeapon} hidden={!!shop}>무기 교체</button>
+                {renderShop()}
+              </div>
+              <div className="mt-2 text-slate-300">같은 PC의 여러 브라우저 탭으로도 테스트할 수 있습니다: <code>node server/game-server.js</code> 실행 후 한 탭에서 방을 만들고 다른 탭에서 코드로 참가하세요. (2~4인)</div>
+            </div>
+          )}
+
+          {screen === 'settings' && renderSettings()}
+
+          {screen === 'profile' && renderProfile()}
+
+          {screen === 'replay' && (
+            <div className="bg-white/3 rounded p-3">
+              <div className="flex flex-wrap items-center gap-2 mb-2">
+                <input type="file" accept=".json,application/json" onChange={e=>loadReplayFile(e.target.files[0])} />
+                {replayInfo && (<>
+                  <button className="px-3 py-2 bg-yellow-600 rounded" onClick={()=>setReplayPlayback(replaySpeed, !replayPaused)}>{replayPaused ? 'Play' : 'Pause'}</button>
+                  {[1,2,4].map(n=>(<button key={n} className={`px-3 py-2 rounded ${replaySpeed===n ? 'bg-sky-600' : 'bg-slate-700'}`} onClick={()=>setReplayPlayback(n, replayPaused)}>{n}x</button>))}
+                  <span className="text-slate-300">{formatTicks(replayTick)} / {formatTicks(replayInfo.ticks)}</span>
+                </>)}
+              </div>
+              {replayError && <div className="mb-2 text-rose-400">{replayError}</div>}
+              {replayInfo && replayInfo.warning && <div className="mb-2 text-amber-400">⚠ {replayInfo.warning}</div>}
+              {replayInfo && <input type="range" className="w-full mb-2" min={0} max={replayInfo.ticks} value={replayTick} onChange={e=>seekReplay(Number(e.target.value))} />}
+              <canvas ref={canvasRef} style={{width:'100%', borderRadius:12, touchAction:'none'}} />
+              <div className="mt-2 text-slate-300">플레이 화면의 "리플레이 저장"으로 받은 JSON 파일을 불러와 재생합니다. Seed: {replayInfo ? replayInfo.seed : '-'}</div>
             </div>
           )}
 
@@ -334,29 +857,41 @@ export default function TotalShooterApp(){
           </div>
 
           <div className="bg-white/3 rounded p-4">
-            <h3 className="font-semibold">사운드 테스트</h3>
-            <div className="mt-2 flex gap-2">
-              <button className="px-3 py-2 bg-sky-600 rounded" onClick={()=>playShot()}>발사 소리</button>
-              <button className="px-3 py-2 bg-orange-600 rounded" onClick={()=>playExplosion()}>폭발</button>
-              <button className="px-3 py-2 bg-rose-600 rounded" onClick={()=>playHurt()}>피격</button>
+            <div className="flex items-center justify-between">
+              <h3 className="font-semibold">사운드</h3>
+              <button className={`px-3 py-1 rounded ${audioSettings.muted ? 'bg-rose-700' : 'bg-slate-700'}`} onClick={toggleMute}>{audioSettings.muted ? '🔇 음소거 해제' : '🔊 음소거'}</button>
+            </div>
+            <div className="mt-3 space-y-2 text-sm">
+              {[['master','전체'],['sfx','효과음'],['music','음악']].map(([key,label])=>(
+                <label key={key} className="flex items-center gap-3">
+                  <span className="w-12">{label}</span>
+                  <input type="range" className="flex-1" min={0} max={1} step={0.05} value={audioSettings[key]} disabled={audioSettings.muted} onChange={e=>updateAudioSettings({ ...audioSettings, [key]: Number(e.target.value) })} />
+                  <span className="w-10 text-right">{Math.round(audioSettings[key]*100)}</span>
+                </label>
+              ))}
+            </div>
+            <div className="mt-3 flex gap-2">
+              <button className="px-3 py-2 bg-sky-600 rounded" onClick={()=>audioRef.current.playSound('shot:pistol', WEAPONS.pistol.sound)}>발사 소리</button>
+              <button className="px-3 py-2 bg-orange-600 rounded" onClick={()=>audioRef.current.play('explosion')}>폭발</button>
+              <button className="px-3 py-2 bg-rose-600 rounded" onClick={()=>audioRef.current.play('hurt')}>피격</button>
             </div>
           </div>
 
           <div className="bg-white/3 rounded p-4">
-            <h3 className="font-semibold">랭킹 (로컬 데모)</h3>
+            <h3 className="font-semibold">랭킹 ({PERIOD_LABELS[boardPeriod]})</h3>
             <div className="mt-2">상위 점수:</div>
             <ol className="mt-2 list-decimal pl-5 text-slate-300">
-              {scoreBoard.slice(0,6).map((s,i)=>(<li key={i}>{s.name} — {s.score}</li>))}
+              {scoreBoard.slice(0,6).map((s,i)=>(<li key={s.id || i}>{s.name} — {s.score}</li>))}
             </ol>
+            {submitStatus && <div className="mt-2 text-sm text-emerald-300">{submitStatus}</div>}
             <div className="mt-3 flex gap-2">
-              <button className="px-3 py-2 bg-emerald-600 rounded" onClick={()=>addLocalScore(playerName, Math.floor(Math.random()*5000))}>랜덤 점수 추가</button>
-              <button className="px-3 py-2 bg-slate-700 rounded" onClick={()=>setScoreBoard([])}>클리어</button>
+              <button className="px-3 py-2 bg-emerald-600 rounded" onClick={()=>loadBoard()}>새로고침</button>
             </div>
           </div>
 
           <div className="bg-white/3 rounded p-4 text-sm text-slate-400">
             <h4 className="font-semibold">백엔드 연동</h4>
-            <p className="mt-2">Firebase Realtime DB 또는 Firestore로 점수 저장을 권장합니다. 상단 파일 주석의 가이드를 참고하여 <code>FIREBASE_CONFIG</code>를 넣으면 랭킹을 서버로 보낼 수 있도록 확장 가능합니다.</p>
+            <p className="mt-2">기본값은 이 브라우저(IndexedDB)에 점수를 저장합니다. <code>LEADERBOARD_URL</code>에 REST 서버(<code>node server/leaderboard-server.js</code>)를 넣거나, 상단 파일 주석의 가이드대로 <code>FIREBASE_CONFIG</code>를 넣으면 게임 오버 시 점수가 서버로 자동 등록됩니다.</p>
           </div>
         </aside>
 
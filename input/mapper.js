@@ -0,0 +1,157 @@
+// input/mapper.js
+// The one action-mapping layer between devices and the simulation. Keyboard, mouse, touch and gamepads
+// report into per-player slots through the bindings in settings.js; read(player) turns a slot into the
+// input object updateGameLogic expects and endTick() clears the one-shot parts (buy, weapon, ready).
+// Shop and weapon-swap buttons queue through here too, so every source is recorded the same way.
+//
+//   const mapper = createInputMapper(loadSettings(), { onAppAction: id=>{ if(id==='pause') ... } });
+//   window.onkeydown = e=>{ if(mapper.keyDown(e.code, e.repeat)) e.preventDefault(); };
+//   each frame: mapper.poll(navigator.getGamepads());   each tick: updateGameLogic(state, [mapper.read(0, p)]); mapper.endTick();
+
+import { WEAPON_IDS } from '../weapons/registry.js';
+import { ACTIONS } from './settings.js';
+
+const LOCAL_SLOTS = 2;          // players on one device (co-op)
+const TRIGGER_THRESHOLD = 0.3;  // analog buttons (triggers) count as pressed past this
+const JOY_ENGAGE = 6;           // px a touch must travel before the joystick moves the player
+const MOVES = ['up', 'down', 'left', 'right'];
+const ACTION_BY_ID = Object.fromEntries(ACTIONS.map(a=>[a.id, a]));
+
+// 1-based slot of the next weapon p owns after the current one (wraps around)
+export function nextWeaponSlot(p){ const owned = WEAPON_IDS.filter(id=>id in p.ammo); return 1 + WEAPON_IDS.indexOf(owned[(owned.indexOf(p.weapon) + 1) % owned.length]); }
+
+// stick (x, y) with a radial deadzone, rescaled so travel just past the deadzone starts from 0
+function applyDeadzone(x, y, deadzone){
+  const m = Math.hypot(x, y); if(m < deadzone || !m) return { x:0, y:0 };
+  const k = Math.min(1, (m - deadzone)/(1 - deadzone))/m;
+  return { x: x*k, y: y*k };
+}
+
+function makeSlot(){
+  return { aimX:null, aimY:null, pointerFire:false, touchFire:false, touchJoy:{ x:0, y:0 },
+    padHeld: new Set(), padMove:{ x:0, y:0 }, padAim:null, facing:null,
+    pending:{ buy:0, weapon:0, ready:false, nextWeapon:false } };
+}
+
+export function createInputMapper(initialSettings, { onAppAction = ()=>{} } = {}){
+  let settings = initialSettings, players = 1;
+  const slots = Array.from({ length: LOCAL_SLOTS }, makeSlot);
+  const keysDown = new Map();   // code -> { slot, action } for held keys
+  const padPrev = [];           // per gamepad index: Set of action ids held at the last poll
+  const touches = new Map();    // touch id -> 'joy' | 'fire'
+  const joystick = { active:false, cx:0, cy:0, x:0, y:0, size:settings.joystickSize }; // P1's touch stick, for drawing
+  // keyboard k / gamepad owner -> slot: in solo play every device drives P1
+  const slotOf = k=>k < players ? k : 0;
+  // in co-op the first gamepad is P2's (P1 has the mouse); a second one goes to P1
+  const padSlot = i=>players > 1 ? (i===0 ? 1 : 0) : 0;
+
+  function press(slot, action){
+    const a = ACTION_BY_ID[action];
+    if(a.app) onAppAction(action, slot);
+    else if(a.slot) slots[slot].pending.weapon = a.slot;
+    else slots[slot].pending[action] = true;
+  }
+  const heldByKey = (slot, action)=>{ for(const k of keysDown.values()) if(k.slot===slot && k.action===action) return true; return false; };
+  const held = (slot, action)=>heldByKey(slot, action) || slots[slot].padHeld.has(action);
+
+  function updateTouchJoy(){
+    const dx = joystick.x - joystick.cx, dy = joystick.y - joystick.cy, d = Math.hypot(dx, dy);
+    const k = joystick.active && d > JOY_ENGAGE ? Math.min(1, d/settings.joystickSize)/d : 0;
+    slots[0].touchJoy = { x: dx*k, y: dy*k };
+  }
+
+  return {
+    get settings(){ return settings; },
+    setSettings(s){ settings = s; joystick.size = s.joystickSize; updateTouchJoy(); },
+    setPlayers(n){ players = Math.max(1, Math.min(LOCAL_SLOTS, n)); },
+    get joystick(){ return joystick; },
+
+    // --- keyboard (KeyboardEvent.code); true when the key is bound, so the page can preventDefault
+    keyDown(code, repeat=false){
+      let bound = false;
+      settings.keyboard.forEach((map, k)=>{
+        for(const action in map){
+          if(map[action]!==code) continue;
+          bound = true;
+          if(ACTION_BY_ID[action].press){ if(!repeat) press(slotOf(k), action); }
+          else keysDown.set(code, { slot: slotOf(k), action });
+        }
+      });
+      return bound;
+    },
+    keyUp(code){ keysDown.delete(code); },
+    // window lost focus: nothing is held any more
+    releaseAll(){ keysDown.clear(); for(const s of slots){ s.pointerFire = false; s.touchFire = false; } },
+
+    // --- mouse (canvas coordinates); always P1
+    pointerMove(x, y){ const s = slots[0]; s.aimX = x; s.aimY = y; s.padAim = null; },
+    pointerButton(down){ slots[0].pointerFire = down; },
+
+    // --- touch (canvas coordinates, width = canvas width): a joystick zone and an aim/fire zone, P1
+    touchStart(id, x, y, width){
+      const split = width*settings.touchSplit;
+      const inJoy = settings.leftHanded ? x > width - split : x < split;
+      if(inJoy){ touches.set(id, 'joy'); Object.assign(joystick, { active:true, cx:x, cy:y, x, y }); updateTouchJoy(); }
+      else { touches.set(id, 'fire'); const s = slots[0]; s.touchFire = true; s.aimX = x; s.aimY = y; s.padAim = null; }
+    },
+    touchMove(id, x, y){
+      const mode = touches.get(id);
+      if(mode==='joy'){ joystick.x = x; joystick.y = y; updateTouchJoy(); }
+      else if(mode==='fire'){ slots[0].aimX = x; slots[0].aimY = y; }
+    },
+    touchEnd(id){
+      const mode = touches.get(id); touches.delete(id);
+      if(mode==='joy'){ joystick.active = false; updateTouchJoy(); }
+      else if(mode==='fire') slots[0].touchFire = false;
+    },
+
+    // --- gamepads: call once per frame with navigator.getGamepads()
+    poll(pads){
+      for(const s of slots){ s.padHeld.clear(); s.padMove = { x:0, y:0 }; }
+      Array.from(pads || []).forEach((pad, i)=>{
+        if(!pad){ padPrev[i] = null; return; }
+        const s = slots[padSlot(i)], prev = padPrev[i] || new Set(), now = new Set();
+        for(const action in settings.gamepad){
+          const b = pad.buttons[settings.gamepad[action]];
+          if(b && (b.pressed || b.value > TRIGGER_THRESHOLD)) now.add(action);
+        }
+        for(const action of now){
+          if(!ACTION_BY_ID[action].press) s.padHeld.add(action);
+          else if(!prev.has(action)) press(padSlot(i), action);
+        }
+        padPrev[i] = now;
+        const ax = n=>pad.axes[n] || 0;
+        const left = applyDeadzone(ax(0), ax(1), settings.deadzone), right = applyDeadzone(ax(2), ax(3), settings.deadzone);
+        const move = settings.swapSticks ? right : left, aim = settings.swapSticks ? left : right;
+        s.padMove = { x: s.padMove.x + move.x, y: s.padMove.y + move.y };
+        if(aim.x || aim.y) s.padAim = aim; // stays until the mouse or a touch aims again
+      });
+    },
+
+    // UI buttons: queue a one-shot field (buy / weapon / ready) or press an action for a player
+    queue(player, field, value){ slots[player].pending[field] = value; },
+    press(player, action){ press(player, action); },
+
+    // this tick's input for a local player; p (their current sim/view player) resolves "next weapon"
+    read(player, p){
+      const s = slots[player], input = {};
+      for(const m of MOVES) input[m] = held(player, m);
+      input.fire = held(player, 'fire') || s.pointerFire;
+      input.touchFire = s.touchFire;
+      input.aimX = s.aimX; input.aimY = s.aimY;
+      let jx = s.touchJoy.x + s.padMove.x, jy = s.touchJoy.y + s.padMove.y; const jm = Math.hypot(jx, jy);
+      if(jm > 1){ jx /= jm; jy /= jm; }
+      input.joyX = jx; input.joyY = jy;
+      // facing: the last direction this player moved, their aim when nothing points (keyboard-only P2)
+      const mx = (input.right?1:0) - (input.left?1:0) + jx, my = (input.down?1:0) - (input.up?1:0) + jy;
+      if(mx || my) s.facing = { x: mx, y: my };
+      const dir = s.padAim || (s.aimX==null ? s.facing : null);
+      input.aimDirX = dir ? dir.x : 0; input.aimDirY = dir ? dir.y : 0;
+      input.buy = s.pending.buy; input.ready = s.pending.ready;
+      input.weapon = s.pending.weapon || (s.pending.nextWeapon && p ? nextWeaponSlot(p) : 0);
+      return input;
+    },
+    // after each simulated tick: one-shot fields act once
+    endTick(){ for(const s of slots) s.pending = { buy:0, weapon:0, ready:false, nextWeapon:false }; }
+  };
+}
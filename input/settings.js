@@ -0,0 +1,86 @@
+// input/settings.js
+// Control settings: what every action is bound to per device, plus stick/touch tuning. Saved as JSON in
+// localStorage; anything missing or malformed in a saved copy falls back to DEFAULT_SETTINGS.
+//
+// Keyboard bindings are KeyboardEvent.code values ('KeyW', 'ArrowUp', 'Space'...), so they work the same
+// under any keyboard layout or IME. Gamepad bindings are standard-mapping button indices
+// (0 A · 1 B · 2 X · 3 Y · 4 LB · 5 RB · 6 LT · 7 RT · 8 Back · 9 Start · 12-15 D-pad). null = unbound.
+
+import { WEAPON_IDS, WEAPONS } from '../weapons/registry.js';
+
+const STORAGE_KEY = 'totalshooter_settings';
+
+// id -> label, in the order the settings screen lists them. `press` actions fire once per press;
+// the rest are held. `app` actions are for the page (pause, mute), not the simulation.
+export const ACTIONS = [
+  { id:'up', label:'위로 이동' }, { id:'down', label:'아래로 이동' }, { id:'left', label:'왼쪽 이동' }, { id:'right', label:'오른쪽 이동' },
+  { id:'fire', label:'발사' },
+  { id:'nextWeapon', label:'다음 무기', press:true },
+  ...WEAPON_IDS.map((id,i)=>({ id:`weapon${i+1}`, label:`무기 ${i+1}: ${WEAPONS[id].name}`, press:true, slot:i+1 })),
+  { id:'ready', label:'준비 완료 (상점)', press:true },
+  { id:'pause', label:'일시정지', press:true, app:true },
+  { id:'mute', label:'음소거', press:true, app:true }
+];
+export const ACTION_IDS = ACTIONS.map(a=>a.id);
+
+export const DEFAULT_SETTINGS = Object.freeze({
+  // keyboard[0] = P1, keyboard[1] = P2 (in solo play both drive P1)
+  keyboard: [
+    { up:'KeyW', down:'KeyS', left:'KeyA', right:'KeyD', fire:'Space', nextWeapon:'KeyQ', ready:'KeyR', pause:'KeyP', mute:'KeyM',
+      ...Object.fromEntries(WEAPON_IDS.map((_,i)=>[`weapon${i+1}`, `Digit${i+1}`])) },
+    { up:'ArrowUp', down:'ArrowDown', left:'ArrowLeft', right:'ArrowRight', fire:'Enter', nextWeapon:'ShiftRight', ready:'Backslash', pause:null }
+  ],
+  gamepad: { up:12, down:13, left:14, right:15, fire:7, nextWeapon:5, ready:3, pause:9 },
+  swapSticks: false,   // false: left stick moves, right stick aims
+  deadzone: 0.2,       // stick travel (0..1) ignored around the centre
+  joystickSize: 48,    // px (canvas) radius of the touch joystick: full speed at this distance
+  touchSplit: 0.45,    // share of the canvas width that starts the joystick; the rest aims and fires
+  leftHanded: false    // mirror the touch layout: joystick on the right, aim/fire on the left
+});
+
+// ranges the settings screen offers (and saved values are clamped to)
+export const LIMITS = { deadzone: [0, 0.5], joystickSize: [24, 120], touchSplit: [0.25, 0.75] };
+
+const clamp = (v, [lo, hi], def)=>typeof v==='number' && isFinite(v) ? Math.max(lo, Math.min(hi, v)) : def;
+const isKey = v=>v===null || (typeof v==='string' && v.length > 0);
+const isButton = v=>v===null || (Number.isInteger(v) && v >= 0 && v < 32);
+
+// a complete, valid settings object from whatever was saved (unknown fields dropped)
+export function normalizeSettings(raw){
+  const d = DEFAULT_SETTINGS, r = raw && typeof raw==='object' ? raw : {};
+  const binds = (saved, defaults, ok)=>Object.fromEntries(ACTION_IDS.map(id=>[id, saved && id in saved && ok(saved[id]) ? saved[id] : (defaults[id] ?? null)]));
+  return {
+    keyboard: d.keyboard.map((def,i)=>binds(Array.isArray(r.keyboard) ? r.keyboard[i] : null, def, isKey)),
+    gamepad: binds(r.gamepad, d.gamepad, isButton),
+    swapSticks: typeof r.swapSticks==='boolean' ? r.swapSticks : d.swapSticks,
+    deadzone: clamp(r.deadzone, LIMITS.deadzone, d.deadzone),
+    joystickSize: clamp(r.joystickSize, LIMITS.joystickSize, d.joystickSize),
+    touchSplit: clamp(r.touchSplit, LIMITS.touchSplit, d.touchSplit),
+    leftHanded: typeof r.leftHanded==='boolean' ? r.leftHanded : d.leftHanded
+  };
+}
+
+export function loadSettings(storage=globalThis.localStorage){
+  try { return normalizeSettings(JSON.parse(storage.getItem(STORAGE_KEY))); } catch(err){ return normalizeSettings(null); }
+}
+export function saveSettings(settings, storage=globalThis.localStorage){
+  try { storage.setItem(STORAGE_KEY, JSON.stringify(settings)); } catch(err){ /* storage unavailable: settings last until reload */ }
+}
+
+// New settings with `action` bound to `value` on a device ('keyboard' + player index, or 'gamepad').
+// Whatever else had that key/button on the same device (for the keyboard: either player) is unbound.
+export function bindAction(settings, device, player, action, value){
+  const unbind = map=>Object.fromEntries(Object.entries(map).map(([id, v])=>[id, v===value ? null : v]));
+  if(device==='gamepad') return { ...settings, gamepad: { ...unbind(settings.gamepad), [action]: value } };
+  return { ...settings, keyboard: settings.keyboard.map((map,i)=>{ const m = unbind(map); if(i===player) m[action] = value; return m; }) };
+}
+
+// short labels for the settings screen
+const KEY_NAMES = { Space:'Space', Enter:'Enter', Backslash:'\\', ShiftLeft:'왼쪽 Shift', ShiftRight:'오른쪽 Shift', ControlLeft:'왼쪽 Ctrl', ControlRight:'오른쪽 Ctrl',
+  AltLeft:'왼쪽 Alt', AltRight:'오른쪽 Alt', ArrowUp:'↑', ArrowDown:'↓', ArrowLeft:'←', ArrowRight:'→', Tab:'Tab', Backspace:'Backspace' };
+const BUTTON_NAMES = ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'L3', 'R3', 'D-pad ↑', 'D-pad ↓', 'D-pad ←', 'D-pad →', 'Home'];
+export function keyLabel(code){
+  if(code==null) return '—';
+  return KEY_NAMES[code] || code.replace(/^Key/, '').replace(/^Digit/, '').replace(/^Numpad/, 'Num ');
+}
+export function buttonLabel(index){ return index==null ? '—' : (BUTTON_NAMES[index] || `버튼 ${index}`); }
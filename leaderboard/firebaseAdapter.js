@@ -0,0 +1,46 @@
+// leaderboard/firebaseAdapter.js
+// Leaderboard on Firebase Realtime Database. The firebase SDK isn't imported here so the app
+// builds without it; pass in the database and the 'firebase/database' module:
+//
+//   import { initializeApp } from 'firebase/app';
+//   import * as firebaseDb from 'firebase/database';
+//   createFirebaseLeaderboard(firebaseDb.getDatabase(initializeApp(FIREBASE_CONFIG)), firebaseDb);
+//
+// Each entry is written once per board, under leaderboard/{period}/{bucket}/{id}, where bucket is
+// the UTC day / week start ('2026-10-19') or 'all'. Add ".indexOn": ["score","name"] on the buckets.
+// leaderboard/runs/{replayHash} records every submitted run so it can't be ranked twice; enforce that with
+// the rule "runs": { "$hash": { ".write": "!data.exists()" } } so a racing second write fails too.
+
+import { PERIODS, normalizeEntry, duplicateRunError, periodStart } from './service.js';
+
+function bucketOf(period, now){ return period==='alltime' ? 'all' : new Date(periodStart(period, now)).toISOString().slice(0,10); }
+
+export function createFirebaseLeaderboard(db, fb){
+  const boardRef = (period, now=Date.now())=>fb.ref(db, `leaderboard/${period}/${bucketOf(period, now)}`);
+  const values = snap=>{ const out = []; snap.forEach(child=>{ out.push({ id: child.key, ...child.val() }); }); return out; };
+
+  async function rankOf(name, period='alltime'){
+    const mine = values(await fb.get(fb.query(boardRef(period), fb.orderByChild('name'), fb.equalTo(name))));
+    if(!mine.length) return null;
+    const best = Math.max(...mine.map(e=>e.score));
+    const above = await fb.get(fb.query(boardRef(period), fb.orderByChild('score'), fb.startAt(best+1)));
+    return 1 + above.size;
+  }
+
+  return {
+    async submit(entry){
+      const e = normalizeEntry(entry); const now = Date.now();
+      if((await fb.get(fb.ref(db, `leaderboard/runs/${e.replayHash}`))).exists()) throw duplicateRunError();
+      const id = fb.push(fb.ref(db, 'leaderboard/ids')).key;
+      const updates = { [`leaderboard/runs/${e.replayHash}`]: id }; for(const p of PERIODS) updates[`leaderboard/${p}/${bucketOf(p, now)}/${id}`] = e;
+      await fb.update(fb.ref(db), updates);
+      const ranks = {}; for(const p of PERIODS) ranks[p] = await rankOf(e.name, p);
+      return { id, ranks };
+    },
+    async top(period='alltime', n=10){
+      const list = values(await fb.get(fb.query(boardRef(period), fb.orderByChild('score'), fb.limitToLast(n))));
+      return list.sort((a,b)=>b.score-a.score);
+    },
+    rankOf
+  };
+}
@@ -0,0 +1,67 @@
+// leaderboard/localAdapter.js
+// Leaderboard kept on this device. Entries live in IndexedDB when the browser has it,
+// otherwise in localStorage (or in memory, e.g. under Node).
+
+import { normalizeEntry, duplicateRunError, topOf, rankIn, ranksFor, periodStart } from './service.js';
+import { indexedDbRunner } from '../storage/indexedDb.js';
+
+const DB_NAME = 'totalshooter';
+const STORE = 'leaderboard';
+const STORAGE_KEY = 'totalshooter_leaderboard';
+
+// --- Stores: { load(): Promise<entry[]>, save(entries): Promise } -----
+export function memoryStore(initial=[]){
+  let data = initial.slice();
+  return { load: async ()=>data.slice(), save: async entries=>{ data = entries.slice(); } };
+}
+
+export function localStorageStore(storage=globalThis.localStorage, key=STORAGE_KEY){
+  return {
+    load: async ()=>{ try { return JSON.parse(storage.getItem(key)) || []; } catch(err){ return []; } },
+    save: async entries=>{ storage.setItem(key, JSON.stringify(entries)); }
+  };
+}
+
+export function indexedDbStore(idb=globalThis.indexedDB, dbName=DB_NAME){
+  const run = indexedDbRunner(idb, dbName, STORE);
+  return {
+    load: ()=>run('readonly', s=>s.get('entries')).then(v=>v || []),
+    save: entries=>run('readwrite', s=>s.put(entries, 'entries'))
+  };
+}
+
+function defaultStore(){
+  if(globalThis.indexedDB) return indexedDbStore();
+  if(globalThis.localStorage) return localStorageStore();
+  return memoryStore();
+}
+
+// --- Adapter --------------------------------------------------
+// keep: how many all-time entries survive pruning (this week's entries are always kept for the daily/weekly boards).
+// A pruned entry leaves just its replayHash behind ({ replayHash }, no date, so no board lists it), so a run that
+// dropped off can't be submitted again as a new one.
+export function createLocalLeaderboard({ store = defaultStore(), keep = 500 } = {}){
+  let cache = null;
+  async function load(){ if(!cache) cache = await store.load(); return cache; }
+  function prune(entries, now){
+    const weekStart = periodStart('weekly', now);
+    const best = new Set(topOf(entries, 'alltime', keep, now));
+    return entries.map(e=>best.has(e) || Date.parse(e.date) >= weekStart ? e : { replayHash: e.replayHash }).filter(e=>e.date || e.replayHash);
+  }
+  return {
+    async submit(entry){
+      const now = Date.now();
+      const e = { ...normalizeEntry(entry), id: `${now.toString(36)}-${Math.random().toString(36).slice(2,8)}` };
+      const entries = await load();
+      if(entries.some(x=>x.replayHash===e.replayHash)) throw duplicateRunError();
+      cache = prune([...entries, e], now);
+      await store.save(cache);
+      return { id: e.id, ranks: ranksFor(cache, e.name, now) };
+    },
+    // whether that replayHash was submitted before (pruned runs included) — lets the server refuse a resubmission
+    // before it pays for re-simulating the replay
+    async hasRun(replayHash){ return (await load()).some(x=>x.replayHash===replayHash); },
+    async top(period='alltime', n=10){ return topOf(await load(), period, n); },
+    async rankOf(name, period='alltime'){ return rankIn(await load(), name, period); }
+  };
+}
@@ -0,0 +1,23 @@
+// leaderboard/restAdapter.js
+// Leaderboard over a plain HTTP/JSON API. server/leaderboard-server.js implements this contract:
+//
+//   POST {baseUrl}/api/scores                      body: entry          -> 201 { id, ranks }
+//   GET  {baseUrl}/api/scores?period=&limit=                            -> 200 { period, entries }
+//   GET  {baseUrl}/api/rank?name=&period=                               -> 200 { period, name, rank }
+//   errors                                                              -> 4xx/5xx { error: CODE, message }
+//                                                          (409 DUPLICATE_RUN: that replayHash is already on the board)
+
+export function createRestLeaderboard({ baseUrl, fetch: fetchFn = globalThis.fetch.bind(globalThis) }){
+  const root = baseUrl.replace(/\/+$/, '');
+  async function call(path, init){
+    const res = await fetchFn(root + path, { ...init, headers: { 'Content-Type':'application/json', ...(init && init.headers) } });
+    const body = await res.json().catch(()=>({}));
+    if(!res.ok){ const err = new Error(body.message || `leaderboard request failed (${res.status})`); err.code = body.error || 'HTTP_' + res.status; err.status = res.status; throw err; }
+    return body;
+  }
+  return {
+    submit: entry=>call('/api/scores', { method:'POST', body: JSON.stringify(entry) }),
+    top: (period='alltime', n=10)=>call(`/api/scores?period=${encodeURIComponent(period)}&limit=${n}`).then(b=>b.entries),
+    rankOf: (name, period='alltime')=>call(`/api/rank?name=${encodeURIComponent(name)}&period=${encodeURIComponent(period)}`).then(b=>b.rank)
+  };
+}
@@ -0,0 +1,60 @@
+// leaderboard/service.js
+// The leaderboard service contract every storage adapter implements, plus the board maths
+// (periods, sorting, ranks) shared by the local adapter and server/leaderboard-server.js.
+//
+//   submit(entry)        -> Promise<{ id, ranks: { daily, weekly, alltime } }>   rejects with code 'DUPLICATE_RUN' if that replayHash was submitted before
+//   top(period, n)       -> Promise<entry[]>        best first
+//   rankOf(name, period) -> Promise<number|null>    1-based rank of that player's best score, null if absent
+//
+// entry:  { name, score, wave, players, durationMs, replayHash, date }   (date: ISO string, stamped by the adapter on submit)
+// period: 'daily' | 'weekly' | 'alltime' — days and weeks are UTC, weeks start on Monday.
+
+export const PERIODS = ['daily','weekly','alltime'];
+export const MAX_NAME_LENGTH = 24;
+
+export function isPeriod(period){ return PERIODS.includes(period); }
+
+// start of the period containing `now` (ms since epoch)
+export function periodStart(period, now=Date.now()){
+  if(period==='alltime') return 0;
+  const d = new Date(now); d.setUTCHours(0,0,0,0);
+  if(period==='weekly') d.setUTCDate(d.getUTCDate() - (d.getUTCDay()+6)%7);
+  return d.getTime();
+}
+
+// Checks and cleans up an incoming entry and stamps its date. Throws an Error whose `code` is 'BAD_ENTRY'.
+export function normalizeEntry(entry){
+  const bad = msg=>{ const err = new Error(msg); err.code = 'BAD_ENTRY'; return err; };
+  if(!entry || typeof entry !== 'object') throw bad('entry must be an object');
+  const name = String(entry.name ?? '').trim().slice(0, MAX_NAME_LENGTH);
+  if(!name) throw bad('name is required');
+  if(!Number.isInteger(entry.score) || entry.score < 0) throw bad('score must be a non-negative integer');
+  if(!Number.isInteger(entry.wave) || entry.wave < 1) throw bad('wave must be a positive integer');
+  const players = entry.players ?? 1;
+  if(!Number.isInteger(players) || players < 1 || players > 4) throw bad('players must be 1-4');
+  if(!(entry.durationMs >= 0)) throw bad('durationMs must be a non-negative number');
+  if(typeof entry.replayHash !== 'string' || !/^[0-9a-f]{8,128}$/.test(entry.replayHash)) throw bad('replayHash must be a hex string');
+  return { name, score: entry.score, wave: entry.wave, players, durationMs: Math.round(entry.durationMs), replayHash: entry.replayHash, date: new Date().toISOString() };
+}
+
+// Error for a run whose replayHash is already on the board: one run can be ranked only once.
+export function duplicateRunError(){ const err = new Error('this run has already been submitted'); err.code = 'DUPLICATE_RUN'; return err; }
+
+function inPeriod(entry, period, now){ return Date.parse(entry.date) >= periodStart(period, now); }
+function byScore(a,b){ return b.score - a.score || Date.parse(a.date) - Date.parse(b.date); }
+
+export function topOf(entries, period='alltime', n=10, now=Date.now()){
+  return entries.filter(e=>inPeriod(e, period, now)).sort(byScore).slice(0, n);
+}
+
+export function rankIn(entries, name, period='alltime', now=Date.now()){
+  const board = entries.filter(e=>inPeriod(e, period, now));
+  let best = null; for(const e of board) if(e.name===name && (best===null || e.score>best)) best = e.score;
+  if(best===null) return null;
+  return 1 + board.filter(e=>e.score > best).length;
+}
+
+export function ranksFor(entries, name, now=Date.now()){
+  const ranks = {}; for(const p of PERIODS) ranks[p] = rankIn(entries, name, p, now);
+  return ranks;
+}
@@ -0,0 +1,64 @@
+// leaderboard/verify.js
+// Server-side check of a submitted run: re-simulate the replay (seed + per-tick input log)
+// headlessly and accept the claimed score only if our own result matches it exactly.
+//
+// verifyRun(submission) -> Promise<{ ok:true, result:{ score, wave, deathTick } } | { ok:false, reason, message }>
+// submission: { score, wave, players, durationMs, deathTick, replayHash, replay } — score is the team total in co-op
+
+import { startRun, updateGameLogic, simActive, teamScore, maxScorePerSecond, SIM_VERSION, TICK_RATE, TICK_MS } from '../sim.js';
+import { parseReplay, decodeInputs, hashReplay } from '../replay.js';
+
+export const MAX_RUN_TICKS = 2*60*60*TICK_RATE; // two hours of play
+
+// reason code -> human readable message
+export const REJECT_REASONS = {
+  REPLAY_MISSING: 'submission has no replay (seed + input log)',
+  REPLAY_INVALID: 'replay could not be read',
+  VERSION_MISMATCH: 'replay was recorded with a different game version',
+  HASH_MISSING: 'submission has no replayHash',
+  HASH_MISMATCH: 'replayHash does not match the replay',
+  PLAYERS_MISMATCH: 'player count does not match the replay',
+  RUN_TOO_LONG: 'replay is longer than the maximum run length',
+  DURATION_MISMATCH: 'durationMs does not match the replay length',
+  SCORE_RATE_EXCEEDED: 'score is higher than the scoring table allows for this run length',
+  NOT_FINISHED: 'replay ends before the run was over',
+  DEATH_TICK_MISMATCH: 'run ended on a different tick than claimed',
+  SCORE_MISMATCH: 'replayed score differs from the claimed score',
+  WAVE_MISMATCH: 'replayed wave differs from the claimed wave'
+};
+
+function reject(reason, detail){ return { ok:false, reason, message: REJECT_REASONS[reason] + (detail ? ` (${detail})` : '') }; }
+
+export async function verifyRun(sub){
+  if(!sub.replay) return reject('REPLAY_MISSING');
+  let replay;
+  try { replay = parseReplay(sub.replay); } catch(err){ return reject('REPLAY_INVALID', err.message); }
+  if(replay.simVersion !== SIM_VERSION) return reject('VERSION_MISMATCH', `replay v${replay.simVersion}, server v${SIM_VERSION}`);
+  if(!sub.replayHash) return reject('HASH_MISSING');
+  if(sub.replayHash !== await hashReplay(sub.replay)) return reject('HASH_MISMATCH');
+
+  if((sub.players || 1) !== replay.players) return reject('PLAYERS_MISMATCH', `claimed ${sub.players || 1}, replay has ${replay.players}`);
+
+  // cheap sanity bounds before spending CPU on the re-simulation
+  const ticks = replay.ticks;
+  if(ticks > MAX_RUN_TICKS) return reject('RUN_TOO_LONG', `${ticks} ticks`);
+  if(Math.abs(sub.durationMs - ticks*TICK_MS) > TICK_MS) return reject('DURATION_MISMATCH', `${sub.durationMs}ms vs ${Math.round(ticks*TICK_MS)}ms`);
+  const maxScore = Math.ceil(maxScorePerSecond() * replay.players * (ticks/TICK_RATE + 1)); // one second of slack
+  if(sub.score > maxScore) return reject('SCORE_RATE_EXCEEDED', `${sub.score} > ${maxScore}`);
+  if(sub.deathTick !== ticks) return reject('DEATH_TICK_MISMATCH', `claimed ${sub.deathTick}, replay has ${ticks} ticks`);
+
+  // re-run the game with the recorded input
+  const state = startRun({ seed: replay.seed, players: replay.players });
+  let deathTick = null;
+  for(const input of decodeInputs(replay)){
+    if(!simActive(state)) break;
+    const events = updateGameLogic(state, input);
+    if(events.some(ev=>ev.type==='gameOver')) deathTick = state.tick;
+  }
+  const result = { score: teamScore(state), wave: state.wave, deathTick };
+  if(deathTick===null) return reject('NOT_FINISHED');
+  if(deathTick !== sub.deathTick) return reject('DEATH_TICK_MISMATCH', `claimed ${sub.deathTick}, replayed ${deathTick}`);
+  if(result.score !== sub.score) return reject('SCORE_MISMATCH', `claimed ${sub.score}, replayed ${result.score}`);
+  if(result.wave !== sub.wave) return reject('WAVE_MISMATCH', `claimed ${sub.wave}, replayed ${result.wave}`);
+  return { ok:true, result };
+}
@@ -0,0 +1,124 @@
+// net/client.js
+// Browser side of online play against server/game-server.js.
+// - Sends one input frame per local fixed tick (batched, flushed once per animation frame).
+// - Own player: client-side prediction with sim.js's movePlayer, re-applying the inputs the
+//   server hasn't acknowledged yet on top of every snapshot.
+// - Everyone and everything else: interpolated between snapshots, INTERP_DELAY_MS in the past.
+// - Dropped connections retry with backoff and `rejoin` the same seat; the seat token is kept in
+//   sessionStorage so a page reload can rejoin too (resume()).
+//
+// Events (client.on(type, fn)): status(status) | joined(msg) | lobby(msg) | start(msg) | events(simEvents) | error(msg)
+
+import { movePlayer, burst, stepParticles } from '../sim.js';
+import { snapshotInput } from '../replay.js';
+
+export const INTERP_DELAY_MS = 100;
+const MAX_SNAPSHOTS = 30;
+const SESSION_KEY = 'totalshooter_net_session';
+
+function lerp(a, b, t){ return a + (b-a)*t; }
+function lerpAngle(a, b, t){ let d = b - a; while(d > Math.PI) d -= Math.PI*2; while(d < -Math.PI) d += Math.PI*2; return a + d*t; }
+
+// entities of `b` moved `t` of the way from their position in `a` (matched by id)
+function blend(listA, listB, t, angles){
+  const byId = new Map(listA.map(o=>[o.id, o]));
+  return listB.map(o=>{ const p = byId.get(o.id); if(!p) return o; const out = { ...o, x: lerp(p.x, o.x, t), y: lerp(p.y, o.y, t) }; if(angles) out.aimAngle = lerpAngle(p.aimAngle, o.aimAngle, t); return out; });
+}
+
+export function createNetClient({ url, name, WebSocketImpl = globalThis.WebSocket, storage = globalThis.sessionStorage }){
+  const listeners = {};
+  const emit = (type, arg)=>{ for(const fn of listeners[type] || []) fn(arg); };
+  let ws = null, status = 'idle', wantOpen = false, retries = 0, retryTimer = null;
+  let session = null;            // { room, token }
+  let game = null;               // { slot, W, H } while a run is on
+  let seq = 0, pending = [], outbox = [];
+  let snapshots = [];            // [{ at, msg }]
+  let predicted = null;          // own player, predicted
+  const fx = { rngState: 1, particles: [] };
+
+  function setStatus(s){ status = s; emit('status', s); }
+  function rawSend(msg){ if(ws && ws.readyState===1) ws.send(JSON.stringify(msg)); }
+
+  function saveSession(){ try { session ? storage.setItem(SESSION_KEY, JSON.stringify(session)) : storage.removeItem(SESSION_KEY); } catch(err){ /* storage unavailable */ } }
+
+  function open(firstMessage){
+    wantOpen = true; clearTimeout(retryTimer);
+    setStatus(retries ? 'reconnecting' : 'connecting');
+    ws = new WebSocketImpl(url);
+    ws.onopen = ()=>{ retries = 0; setStatus('open'); if(session) rawSend({ t:'rejoin', ...session }); else if(firstMessage) rawSend(firstMessage); };
+    ws.onmessage = ev=>handle(JSON.parse(ev.data));
+    ws.onclose = ()=>{
+      ws = null;
+      if(!wantOpen){ setStatus('closed'); return; }
+      retries++; setStatus('reconnecting');
+      retryTimer = setTimeout(()=>open(), Math.min(8000, 500 * 2**(retries-1)));
+    };
+  }
+
+  function handle(msg){
+    if(msg.t==='joined'){ session = { room: msg.room, token: msg.token }; saveSession(); emit('joined', msg); }
+    else if(msg.t==='lobby') emit('lobby', msg);
+    else if(msg.t==='start'){ game = { slot: msg.slot, W: msg.W, H: msg.H }; seq = 0; pending = []; outbox = []; snapshots = []; predicted = null; fx.particles = []; emit('start', msg); }
+    else if(msg.t==='snapshot') onSnapshot(msg);
+    else if(msg.t==='error'){
+      if(msg.code==='REJOIN_FAILED'){ session = null; saveSession(); }
+      emit('error', msg);
+    }
+  }
+
+  function onSnapshot(msg){
+    if(!game) return;
+    snapshots.push({ at: performance.now(), msg }); if(snapshots.length > MAX_SNAPSHOTS) snapshots.shift();
+    // reconciliation: start from the server's word on our player, replay what it hasn't seen yet
+    pending = pending.filter(f=>f[0] > msg.ack);
+    const mine = msg.players[game.slot];
+    predicted = mine ? { ...mine } : null;
+    if(predicted && !predicted.downed) for(const [, input] of pending) movePlayer(game, predicted, input);
+    for(const ev of msg.events){
+      if(ev.type==='kill' || ev.type==='hit') burst(fx, fx.particles, ev.x, ev.y, 6);
+      else if(ev.type==='hurt') burst(fx, fx.particles, ev.x, ev.y, 12, true);
+    }
+    if(msg.events.length) emit('events', msg.events);
+    if(msg.gameOver) game.over = true;
+  }
+
+  return {
+    on(type, fn){ (listeners[type] ||= []).push(fn); return ()=>{ listeners[type] = listeners[type].filter(f=>f!==fn); }; },
+    get status(){ return status; },
+    get playing(){ return !!game && !game.over; },
+    get slot(){ return game ? game.slot : null; },
+    // our own player as of the latest snapshot (weapon, ammo, credits...), or null
+    get me(){ return game && snapshots.length ? snapshots[snapshots.length-1].msg.players[game.slot] || null : null; },
+
+    createRoom(){ session = null; saveSession(); open({ t:'create', name }); },
+    joinRoom(code){ session = null; saveSession(); open({ t:'join', room: code, name }); },
+    // reconnect to the seat remembered in sessionStorage; false if there is none
+    resume(){ try { session = JSON.parse(storage.getItem(SESSION_KEY)); } catch(err){ session = null; } if(!session) return false; open(); return true; },
+    startGame(){ rawSend({ t:'start' }); },
+    leave(){ rawSend({ t:'leave' }); session = null; saveSession(); game = null; wantOpen = false; clearTimeout(retryTimer); if(ws) ws.close(); },
+
+    // once per local fixed tick while playing
+    tick(input){
+      stepParticles(fx.particles);
+      if(!game || game.over) return;
+      const snap = snapshotInput(input);
+      seq++; pending.push([seq, snap]); outbox.push([seq, snap]);
+      if(predicted && !predicted.downed) movePlayer(game, predicted, snap);
+    },
+    // once per animation frame
+    flush(){ if(outbox.length && ws && ws.readyState===1){ rawSend({ t:'input', frames: outbox }); outbox = []; } else if(outbox.length > 60) outbox.splice(0, outbox.length - 60); },
+
+    // a render-ready state (same shape renderStateToCanvas expects), or null before the first snapshot
+    view(now=performance.now()){
+      if(!game || !snapshots.length) return null;
+      const renderAt = now - INTERP_DELAY_MS;
+      let i = snapshots.length-1; while(i > 0 && snapshots[i-1].at > renderAt) i--;
+      const b = snapshots[i].msg, a = i > 0 ? snapshots[i-1].msg : b;
+      const span = i > 0 ? snapshots[i].at - snapshots[i-1].at : 1;
+      const t = i > 0 ? Math.max(0, Math.min(1, (renderAt - snapshots[i-1].at)/span)) : 1;
+      const latest = snapshots[snapshots.length-1].msg;
+      const players = blend(a.players, b.players, t, true).map(p=>p.id===game.slot && predicted ? { ...latest.players[p.id], x: predicted.x, y: predicted.y, aimAngle: predicted.aimAngle } : p);
+      return { W: game.W, H: game.H, tick: latest.tick, wave: latest.wave, breakTimer: latest.breakTimer, gameOver: latest.gameOver, players, enemies: blend(a.enemies, b.enemies, t), bullets: blend(a.bullets, b.bullets, t), enemyBullets: blend(a.enemyBullets, b.enemyBullets, t), particles: fx.particles };
+    }
+  };
+}
@@ -0,0 +1,78 @@
+// physics/grid.js
+// Uniform-grid broadphase. Rebuilt every tick from scratch (cheap: one array push per entity),
+// then queried with a circle; callers still do the exact distance check themselves.
+// Entities are filed by their centre; queries widen by the largest radius inserted, so big
+// enemies straddling a cell border are still found. Visit order is deterministic (cell order,
+// then insertion order), which keeps the simulation replayable.
+//
+//   const grid = createGrid(64);
+//   grid.build(state.W, state.H, state.enemies);
+//   grid.query(x, y, r, e=>{ ...; return true to stop early });
+//
+// Fast movers can instead be filed along their path (buildSwept) and looked up by point (at): every
+// cell within `pad` of where a bullet will travel lists it once, so an enemy only looks at its own cell.
+
+const MARGIN = 128; // px outside the arena still covered by their own cells (spawning enemies, stray bullets)
+
+export function createGrid(cellSize){
+  let cols = 0, rows = 0, cells = [], used = [], maxR = 0, marks = null, stamp = 0;
+  const cellOf = (x, y)=>{
+    const cx = Math.max(0, Math.min(cols-1, Math.floor((x + MARGIN)/cellSize)));
+    const cy = Math.max(0, Math.min(rows-1, Math.floor((y + MARGIN)/cellSize)));
+    return cy*cols + cx;
+  };
+  const reset = (W, H)=>{
+    const c = Math.ceil((W + 2*MARGIN)/cellSize), r = Math.ceil((H + 2*MARGIN)/cellSize);
+    if(c!==cols || r!==rows){ cols = c; rows = r; cells = Array.from({ length: c*r }, ()=>[]); used = []; marks = new Int32Array(c*r); }
+    for(const i of used) cells[i].length = 0;
+    used.length = 0; maxR = 0;
+  };
+  return {
+    build(W, H, list){
+      reset(W, H);
+      for(const o of list){
+        const i = cellOf(o.x, o.y);
+        if(!cells[i].length) used.push(i);
+        cells[i].push(o);
+        if(o.r > maxR) maxR = o.r;
+      }
+    },
+    // files each entity in every cell within o.r + pad of its path over the next `seconds` (o.x,o.y -> o.x+o.vx*seconds, ...)
+    buildSwept(W, H, list, seconds, pad){
+      reset(W, H);
+      for(const o of list){
+        const dx = o.vx*seconds, dy = o.vy*seconds, steps = Math.max(1, Math.ceil(Math.hypot(dx, dy)/cellSize));
+        const grow = o.r + pad + cellSize/2; // samples are at most cellSize apart, so this covers the whole segment
+        stamp++;
+        for(let s=0;s<=steps;s++){
+          const x = o.x + dx*s/steps, y = o.y + dy*s/steps;
+          const x0 = Math.max(0, Math.floor((x - grow + MARGIN)/cellSize)), x1 = Math.min(cols-1, Math.floor((x + grow + MARGIN)/cellSize));
+          const y0 = Math.max(0, Math.floor((y - grow + MARGIN)/cellSize)), y1 = Math.min(rows-1, Math.floor((y + grow + MARGIN)/cellSize));
+          for(let cy=y0;cy<=y1;cy++) for(let cx=x0;cx<=x1;cx++){
+            const i = cy*cols + cx; if(marks[i]===stamp) continue;
+            marks[i] = stamp;
+            if(!cells[i].length) used.push(i);
+            cells[i].push(o);
+          }
+        }
+      }
+    },
+    // calls visit(o) for every entity filed in the cell containing x,y (use with buildSwept); stops when visit returns true
+    at(x, y, visit){
+      const cell = cells[cellOf(x, y)];
+      for(let k=0;k<cell.length;k++) if(visit(cell[k])) return true;
+      return false;
+    },
+    // calls visit(o) for every entity whose cell touches the circle (x, y, r + largest radius); stops when visit returns true
+    query(x, y, r, visit){
+      const reach = r + maxR;
+      const x0 = Math.max(0, Math.floor((x - reach + MARGIN)/cellSize)), x1 = Math.min(cols-1, Math.floor((x + reach + MARGIN)/cellSize));
+      const y0 = Math.max(0, Math.floor((y - reach + MARGIN)/cellSize)), y1 = Math.min(rows-1, Math.floor((y + reach + MARGIN)/cellSize));
+      for(let cy=y0;cy<=y1;cy++) for(let cx=x0;cx<=x1;cx++){
+        const cell = cells[cy*cols + cx];
+        for(let k=0;k<cell.length;k++) if(visit(cell[k])) return true;
+      }
+      return false;
+    }
+  };
+}
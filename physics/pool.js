@@ -0,0 +1,26 @@
+// physics/pool.js
+// Free lists for the short-lived entities (bullets, enemies, particles) so big waves don't churn the GC.
+// Whoever acquires an object must set every field — pooled objects come back with old values in them.
+// Pools are shared by every game state in the page/process; that's fine because nothing ever reads a
+// field it didn't set, so a recycled object behaves exactly like a fresh one.
+//
+// Removing from a list: removeAt(list, i) swaps the last element into slot i (O(1), no splice) — loop
+// backwards when removing while iterating.
+
+const MAX_FREE = 4096;
+
+export function createPool(create){
+  const free = [];
+  return {
+    acquire(){ return free.length ? free.pop() : create(); },
+    release(o){ if(free.length < MAX_FREE) free.push(o); },
+    get free(){ return free.length; }
+  };
+}
+
+// Removes list[i] by moving the last element into its place; returns the removed element.
+export function removeAt(list, i){
+  const o = list[i], last = list.pop();
+  if(i < list.length) list[i] = last;
+  return o;
+}
@@ -0,0 +1,45 @@
+// profile/achievements.js
+// Achievements from achievements.json, checked at load time. Each has a `kind`:
+//   kills {count} · killType {enemy, count} · revives {count} · runs {count}   lifetime totals (profile.stats)
+//   reachWave {wave}                                                             best wave ever (or in this run)
+//   untouched {wave}         clear wave `wave` (or later) in a run without having taken any damage
+//   accuracy {wave, min}     clear wave `wave` (or later) with the run's accuracy at least `min` (0..1)
+
+import DATA from './achievements.json' with { type: 'json' };
+import { ENEMY_TYPES } from '../enemies/registry.js';
+
+const KINDS = { kills:['count'], killType:['enemy','count'], revives:['count'], runs:['count'], reachWave:['wave'], untouched:['wave'], accuracy:['wave','min'] };
+
+export const ACHIEVEMENTS = Object.freeze(Object.entries(DATA).map(([id, def])=>{
+  const fields = KINDS[def.kind];
+  if(!fields) throw new Error(`achievements.json: ${id} has unknown kind "${def.kind}"`);
+  for(const f of fields) if(def[f]===undefined) throw new Error(`achievements.json: ${id} (${def.kind}) needs "${f}"`);
+  if(def.kind==='killType' && !ENEMY_TYPES[def.enemy]) throw new Error(`achievements.json: ${id} counts unknown enemy "${def.enemy}"`);
+  return Object.freeze({ ...def, id });
+}));
+
+export function accuracyOf(c){ return c.shotsFired ? Math.min(1, c.shotsHit/c.shotsFired) : 0; }
+const totalKills = kills=>Object.values(kills).reduce((s,n)=>s + n, 0);
+
+// { value, target } toward an achievement from lifetime stats (run-only kinds: 0 or 1 of 1)
+export function progressOf(def, stats){
+  switch(def.kind){
+    case 'kills': return { value: totalKills(stats.kills), target: def.count };
+    case 'killType': return { value: stats.kills[def.enemy] || 0, target: def.count };
+    case 'revives': return { value: stats.revives, target: def.count };
+    case 'runs': return { value: stats.runs, target: def.count };
+    case 'reachWave': return { value: stats.bestWave, target: def.wave };
+    default: return { value: 0, target: 1 };
+  }
+}
+
+// is `def` earned, given lifetime stats and (optionally) the run in progress: { wave, clears: [{ wave, damageTaken, accuracy }] }
+function earned(def, stats, run){
+  if(def.kind==='reachWave') return Math.max(stats.bestWave, run ? run.wave : 0) >= def.wave;
+  if(def.kind==='untouched') return !!run && run.clears.some(c=>c.wave >= def.wave && c.damageTaken===0);
+  if(def.kind==='accuracy') return !!run && run.clears.some(c=>c.wave >= def.wave && c.accuracy >= def.min);
+  const p = progressOf(def, stats); return p.value >= p.target;
+}
+
+// achievements newly earned (not yet in profile.achievements)
+export function newlyEarned(profile, run){ return ACHIEVEMENTS.filter(def=>!profile.achievements[def.id] && earned(def, profile.stats, run)); }
@@ -0,0 +1,95 @@
+// profile/profile.js
+// A local player profile: name, lifetime stats, unlocked achievements and recent run history.
+//
+// profile: { id, name, createdAt, stats, achievements: { [id]: unlocked ISO date }, history: run[] (newest first) }
+// stats:   { runs, kills: { [enemy type]: n }, shotsFired, shotsHit, bestWave, bestScore, timePlayed (s), damageTaken, downs, revives }
+// run:     { at, mode ('solo' | 'coop' | 'online'), seed, wave, score, teamScore, kills, shotsFired, shotsHit, damageTaken, seconds }
+//
+// createRunTracker follows one player through a run's sim events, adding to the profile's stats as they
+// happen and reporting achievements the moment they're earned; finish() files the run in the history.
+
+import { WEAPONS } from '../weapons/registry.js';
+import { accuracyOf, newlyEarned } from './achievements.js';
+
+export const PROFILE_FORMAT = 'totalshooter-profile';
+const PROFILE_FILE_VERSION = 1;
+const HISTORY_KEEP = 100;        // runs kept per profile
+const MAX_NAME = 24;
+const RUN_MODES = ['solo', 'coop', 'online'];
+const RUN_NUMBERS = ['seed', 'wave', 'score', 'teamScore', 'kills', 'shotsFired', 'shotsHit', 'damageTaken', 'seconds'];
+
+export function emptyStats(){ return { runs:0, kills:{}, shotsFired:0, shotsHit:0, bestWave:0, bestScore:0, timePlayed:0, damageTaken:0, downs:0, revives:0 }; }
+
+export function newProfile(name='Player'){
+  return { id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2,8)}`, name: cleanName(name), createdAt: new Date().toISOString(), stats: emptyStats(), achievements: {}, history: [] };
+}
+export function cleanName(name){ return String(name ?? '').trim().slice(0, MAX_NAME) || 'Player'; }
+
+// a valid profile from stored/imported data (throws on anything that isn't one); history runs that don't
+// parse are dropped, since the profile screen renders their fields as they are
+export function normalizeProfile(raw){
+  if(!raw || typeof raw!=='object' || typeof raw.id!=='string' || !raw.stats || typeof raw.stats!=='object') throw new Error('profile: not a profile');
+  const num = v=>typeof v==='number' && isFinite(v) && v >= 0 ? v : 0;
+  const stats = Object.fromEntries(Object.entries(emptyStats()).map(([k, def])=>[k, k==='kills' ? def : num(raw.stats[k])]));
+  for(const [type, n] of Object.entries(raw.stats.kills || {})) stats.kills[type] = num(n);
+  const achievements = Object.fromEntries(Object.entries(raw.achievements || {}).filter(([, at])=>typeof at==='string'));
+  const validRun = r=>r && typeof r==='object' && RUN_MODES.includes(r.mode) && typeof r.at==='string' && !isNaN(Date.parse(r.at));
+  const history = Array.isArray(raw.history) ? raw.history.filter(validRun).slice(0, HISTORY_KEEP)
+    .map(r=>({ at: r.at, mode: r.mode, ...Object.fromEntries(RUN_NUMBERS.map(k=>[k, num(r[k])])) })) : [];
+  return { id: raw.id, name: cleanName(raw.name), createdAt: typeof raw.createdAt==='string' ? raw.createdAt : new Date().toISOString(), stats, achievements, history };
+}
+
+// --- Export / import ------------------------------------------
+export function exportProfile(profile){ return JSON.stringify({ format: PROFILE_FORMAT, v: PROFILE_FILE_VERSION, profile }); }
+
+// an imported profile always gets a fresh id, so importing never overwrites an existing one
+export function parseProfile(text){
+  let data; try { data = JSON.parse(text); } catch(err){ throw new Error('프로필 파일이 올바른 JSON이 아닙니다.'); }
+  if(!data || data.format!==PROFILE_FORMAT) throw new Error('TotalShooter 프로필 파일이 아닙니다.');
+  if(data.v > PROFILE_FILE_VERSION) throw new Error(`더 새로운 버전(v${data.v})의 프로필 파일입니다.`);
+  return { ...normalizeProfile(data.profile), id: newProfile().id };
+}
+
+// --- Run tracking ---------------------------------------------
+// player: index in the run's players this profile plays as; onUnlock(def) for each achievement earned
+export function createRunTracker(profile, player, { onUnlock = ()=>{} } = {}){
+  const stats = profile.stats;
+  const run = { wave: 0, kills: 0, shotsFired: 0, shotsHit: 0, damageTaken: 0, clears: [] };
+  const hitBullets = new Set(); // bullets that have already counted as a hit (piercing/splash hits count once)
+  let done = false;
+  function unlockEarned(){
+    const earned = newlyEarned(profile, run), at = new Date().toISOString();
+    for(const def of earned){ profile.achievements[def.id] = at; onUnlock(def); }
+    return earned;
+  }
+  return {
+    get run(){ return run; },
+    // one batch of sim events (one tick live, one snapshot online); returns the achievements it unlocked
+    onEvents(events){
+      if(done) return [];
+      for(const ev of events){
+        if(ev.type==='shot' && ev.player===player){ const n = WEAPONS[ev.weapon].pellets; run.shotsFired += n; stats.shotsFired += n; }
+        else if((ev.type==='hit' || ev.type==='kill') && ev.player===player){
+          if(!hitBullets.has(ev.bullet)){ hitBullets.add(ev.bullet); run.shotsHit++; stats.shotsHit++; }
+          if(ev.type==='kill'){ run.kills++; stats.kills[ev.enemy] = (stats.kills[ev.enemy] || 0) + 1; }
+        }
+        else if(ev.type==='hurt' && ev.player===player){ run.damageTaken++; stats.damageTaken++; }
+        else if(ev.type==='down' && ev.player===player) stats.downs++;
+        else if(ev.type==='revive' && ev.by && ev.by.includes(player)) stats.revives++;
+        else if(ev.type==='wave') run.wave = Math.max(run.wave, ev.wave);
+        else if(ev.type==='waveClear'){ run.clears.push({ wave: ev.wave, damageTaken: run.damageTaken, accuracy: accuracyOf(run) }); hitBullets.clear(); } // no bullet outlives the break
+      }
+      return unlockEarned();
+    },
+    // the run is over (game over, or abandoned for a new one): file it; returns the achievements it unlocked
+    finish({ mode, seed, wave, score, teamScore, seconds }){
+      if(done) return [];
+      done = true;
+      stats.runs++; stats.bestWave = Math.max(stats.bestWave, wave); stats.bestScore = Math.max(stats.bestScore, score); stats.timePlayed += seconds;
+      run.wave = Math.max(run.wave, wave);
+      profile.history = [{ at: new Date().toISOString(), mode, seed, wave, score, teamScore, kills: run.kills, shotsFired: run.shotsFired, shotsHit: run.shotsHit, damageTaken: run.damageTaken, seconds }, ...profile.history].slice(0, HISTORY_KEEP);
+      return unlockEarned();
+    },
+    get finished(){ return done; }
+  };
+}
@@ -0,0 +1,57 @@
+// profile/store.js
+// Where profiles are kept: IndexedDB (one record per profile, keyed by id) when the browser has it,
+// otherwise localStorage, otherwise memory (e.g. under Node). The selected profile's id is remembered
+// in localStorage. Stores: { all(): Promise<profile[]>, put(profile): Promise, remove(id): Promise }
+
+import { normalizeProfile } from './profile.js';
+import { indexedDbRunner } from '../storage/indexedDb.js';
+
+const DB_NAME = 'totalshooter_profiles';
+const STORE = 'profiles';
+const STORAGE_KEY = 'totalshooter_profiles';
+const ACTIVE_KEY = 'totalshooter_active_profile';
+
+export function memoryProfileStore(initial=[]){
+  const data = new Map(initial.map(p=>[p.id, p]));
+  return { all: async ()=>[...data.values()], put: async p=>{ data.set(p.id, structuredClone(p)); }, remove: async id=>{ data.delete(id); } };
+}
+
+export function localStorageProfileStore(storage=globalThis.localStorage, key=STORAGE_KEY){
+  const load = ()=>{ try { return JSON.parse(storage.getItem(key)) || {}; } catch(err){ return {}; } };
+  return {
+    all: async ()=>Object.values(load()),
+    put: async p=>{ const all = load(); all[p.id] = p; storage.setItem(key, JSON.stringify(all)); },
+    remove: async id=>{ const all = load(); delete all[id]; storage.setItem(key, JSON.stringify(all)); }
+  };
+}
+
+export function indexedDbProfileStore(idb=globalThis.indexedDB, dbName=DB_NAME){
+  const run = indexedDbRunner(idb, dbName, STORE, { keyPath: 'id' });
+  return {
+    all: ()=>run('readonly', s=>s.getAll()),
+    put: p=>run('readwrite', s=>s.put(p)),
+    remove: id=>run('readwrite', s=>s.delete(id))
+  };
+}
+
+function defaultStore(){
+  if(globalThis.indexedDB) return indexedDbProfileStore();
+  if(globalThis.localStorage) return localStorageProfileStore();
+  return memoryProfileStore();
+}
+
+// --- Profiles -------------------------------------------------
+// list() skips records that don't parse as profiles rather than failing the whole screen
+export function createProfileStore({ store = defaultStore(), storage = globalThis.localStorage } = {}){
+  return {
+    async list(){
+      const out = [];
+      for(const raw of await store.all()){ try { out.push(normalizeProfile(raw)); } catch(err){ /* skip a damaged record */ } }
+      return out.sort((a,b)=>a.createdAt < b.createdAt ? -1 : 1);
+    },
+    save: profile=>store.put(profile),
+    remove: id=>store.remove(id),
+    activeId(){ try { return storage.getItem(ACTIVE_KEY); } catch(err){ return null; } },
+    setActiveId(id){ try { storage.setItem(ACTIVE_KEY, id); } catch(err){ /* storage unavailable */ } }
+  };
+}
@@ -0,0 +1,131 @@
+// replay.js
+// Input recording and playback for the simulation core (sim.js).
+// A replay is just the seed plus one input snapshot per player per simulated tick, so feeding the
+// snapshots back through updateGameLogic reproduces the run exactly.
+//
+// File format (JSON, compact):
+//   { format:'totalshooter-replay', v:3, simVersion, seed, players, ticks, frames:[[repeat, ...player0, ...player1], ...] }
+// where each player's part is [bits, aimX, aimY, joyX, joyY, aimDirX, aimDirY, buy, weapon]
+// (v2 files: first seven only, v1 files: first five only).
+// Identical consecutive ticks are run-length encoded into one frame with a `repeat` count.
+
+import { SIM_VERSION, MAX_PLAYERS } from './sim.js';
+
+export const REPLAY_FORMAT = 'totalshooter-replay';
+export const REPLAY_FILE_VERSION = 3;
+
+const BUTTONS = ['up','down','left','right','fire','touchFire','ready'];
+const PART_WIDTH = { 1: 5, 2: 7, 3: 9 }; // values per player in a frame, by file version
+
+// --- Snapshots ------------------------------------------------
+// Quantized copy of the live input. The live game feeds this (not the raw input) to the sim, so
+// the recording holds exactly what the simulation saw.
+export function snapshotInput(input){
+  const snap = {};
+  for(const k of BUTTONS) snap[k] = !!input[k];
+  snap.aimX = input.aimX==null? null : Math.round(input.aimX);
+  snap.aimY = input.aimY==null? null : Math.round(input.aimY);
+  snap.joyX = Math.round((input.joyX||0)*1000)/1000;
+  snap.joyY = Math.round((input.joyY||0)*1000)/1000;
+  snap.aimDirX = Math.round((input.aimDirX||0)*1000)/1000;
+  snap.aimDirY = Math.round((input.aimDirY||0)*1000)/1000;
+  snap.buy = input.buy|0; snap.weapon = input.weapon|0;
+  return snap;
+}
+
+function encodeSnapshot(snap){
+  let bits = 0; BUTTONS.forEach((k,i)=>{ if(snap[k]) bits |= 1<<i; });
+  return [bits, snap.aimX, snap.aimY, snap.joyX, snap.joyY, snap.aimDirX, snap.aimDirY, snap.buy, snap.weapon];
+}
+
+// values of one player's part of a frame, `width` values starting at index `o`; fields older file
+// versions didn't record are left at their defaults
+function decodeSnapshot(f, o, width){
+  const v = i=>i < width ? f[o+i] : undefined;
+  const snap = {}; BUTTONS.forEach((k,i)=>{ snap[k] = !!(f[o] & (1<<i)); });
+  snap.aimX = v(1) ?? undefined; snap.aimY = v(2) ?? undefined; snap.joyX = v(3)||0; snap.joyY = v(4)||0;
+  snap.aimDirX = v(5)||0; snap.aimDirY = v(6)||0; snap.buy = v(7)||0; snap.weapon = v(8)||0;
+  return snap;
+}
+
+function sameFrame(a,b){ for(let i=1;i<a.length;i++) if(a[i]!==b[i]) return false; return true; }
+
+// --- Recorder -------------------------------------------------
+export function createRecorder(seed, players=1){
+  const frames = []; let ticks = 0;
+  return {
+    // call once per simulated tick with one input per player; returns the snapshots to pass to updateGameLogic
+    record(inputs){
+      if(!Array.isArray(inputs)) inputs = [inputs];
+      const snaps = []; const frame = [1];
+      for(let i=0;i<players;i++){ const snap = snapshotInput(inputs[i] || {}); snaps.push(snap); frame.push(...encodeSnapshot(snap)); }
+      const last = frames[frames.length-1];
+      if(last && sameFrame(last, frame)) last[0]++; else frames.push(frame);
+      ticks++;
+      return snaps;
+    },
+    get ticks(){ return ticks; },
+    toReplay(){ return { format: REPLAY_FORMAT, v: REPLAY_FILE_VERSION, simVersion: SIM_VERSION, seed, players, ticks, frames: frames.map(f=>f.slice()) }; }
+  };
+}
+
+export function serializeReplay(replay){ return JSON.stringify(replay); }
+
+// SHA-256 (hex) of the serialized replay — identifies a run on the leaderboard. Uses WebCrypto where there
+// is one; Node 18 modules and insecure (plain http) browser pages have no crypto.subtle, so they get sha256Hex.
+export async function hashReplay(replay){
+  const bytes = new TextEncoder().encode(serializeReplay(replay));
+  const subtle = globalThis.crypto && globalThis.crypto.subtle;
+  if(!subtle) return sha256Hex(bytes);
+  const digest = await subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest), b=>b.toString(16).padStart(2,'0')).join('');
+}
+
+// plain SHA-256 (FIPS 180-4) of a byte array, as hex — same digest as crypto.subtle
+const PRIMES = []; for(let n=2;PRIMES.length<64;n++) if(PRIMES.every(q=>n%q)) PRIMES.push(n);
+const SHA256_K = Uint32Array.from(PRIMES, q=>Math.floor((Math.cbrt(q) % 1)*2**32)); // fractions of the primes' cube roots
+function sha256Hex(bytes){
+  const rotr = (x, n)=>(x>>>n) | (x<<(32-n));
+  const padded = new Uint8Array(Math.ceil((bytes.length + 9)/64)*64); padded.set(bytes); padded[bytes.length] = 0x80;
+  const view = new DataView(padded.buffer); view.setUint32(padded.length-8, Math.floor(bytes.length/2**29)); view.setUint32(padded.length-4, bytes.length*8 >>> 0);
+  const h = Uint32Array.of(0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19), w = new Uint32Array(64);
+  for(let o=0;o<padded.length;o+=64){
+    for(let i=0;i<16;i++) w[i] = view.getUint32(o + i*4);
+    for(let i=16;i<64;i++){ const a = w[i-15], b = w[i-2]; w[i] = w[i-16] + (rotr(a,7) ^ rotr(a,18) ^ (a>>>3)) + w[i-7] + (rotr(b,17) ^ rotr(b,19) ^ (b>>>10)); }
+    let [a, b, c, d, e, f, g, k] = h;
+    for(let i=0;i<64;i++){
+      const t1 = k + (rotr(e,6) ^ rotr(e,11) ^ rotr(e,25)) + ((e & f) ^ (~e & g)) + SHA256_K[i] + w[i] | 0;
+      const t2 = (rotr(a,2) ^ rotr(a,13) ^ rotr(a,22)) + ((a & b) ^ (a & c) ^ (b & c)) | 0;
+      k = g; g = f; f = e; e = d + t1 | 0; d = c; c = b; b = a; a = t1 + t2 | 0;
+    }
+    h[0] += a; h[1] += b; h[2] += c; h[3] += d; h[4] += e; h[5] += f; h[6] += g; h[7] += k;
+  }
+  return Array.from(h, x=>x.toString(16).padStart(8,'0')).join('');
+}
+
+// --- Loading --------------------------------------------------
+// Throws an Error with a readable message if the text isn't a replay file.
+export function parseReplay(text){
+  let data;
+  try { data = typeof text === 'string' ? JSON.parse(text) : text; } catch(err){ throw new Error('리플레이 파일을 읽을 수 없습니다 (JSON 아님).'); }
+  if(!data || data.format !== REPLAY_FORMAT) throw new Error('리플레이 파일 형식이 아닙니다.');
+  if(data.v > REPLAY_FILE_VERSION) throw new Error(`지원하지 않는 리플레이 파일 버전입니다 (v${data.v}).`);
+  if(!Number.isInteger(data.seed) || !Array.isArray(data.frames) || !PART_WIDTH[data.v]) throw new Error('리플레이 파일이 손상되었습니다.');
+  const players = data.players || 1;
+  if(!Number.isInteger(players) || players < 1 || players > MAX_PLAYERS) throw new Error('리플레이 파일이 손상되었습니다.');
+  const width = 1 + players*PART_WIDTH[data.v];
+  let ticks = 0; for(const f of data.frames){ if(!Array.isArray(f) || f.length!==width || !Number.isInteger(f[0]) || f[0] < 1) throw new Error('리플레이 파일이 손상되었습니다.'); ticks += f[0]; }
+  return { ...data, players, ticks };
+}
+
+// Per-tick input snapshots (one per player), index = tick number.
+export function decodeInputs(replay){
+  const width = PART_WIDTH[replay.v]; const out = [];
+  for(const f of replay.frames){
+    const snaps = []; for(let p=0;p<replay.players;p++) snaps.push(decodeSnapshot(f, 1 + p*width, width));
+    for(let i=0;i<f[0];i++) out.push(snaps);
+  }
+  return out;
+}
+
+export function isVersionMismatch(replay){ return replay.simVersion !== SIM_VERSION; }
@@ -0,0 +1,185 @@
+// server/game-server.js
+// Authoritative online game server: 2–4 players in separate browsers share one wave run.
+// The server runs the real simulation (sim.js) at TICK_RATE; clients only send input frames and
+// draw the snapshots they get back (net/client.js predicts its own player, interpolates the rest).
+//
+//   node server/game-server.js [--port 8790]        then in the game: 온라인 → ws://localhost:8790
+//   (or npm run game-server; Node 18.20+ / 20.10+, see package.json)
+//
+// Protocol (JSON text messages):
+//   client -> server   create {name} | join {room, name} | rejoin {room, token} | start | leave
+//                      input {frames:[[seq, input], ...]}      one frame per client tick, seq increasing
+//   server -> client   joined {room, token, memberId} | lobby {room, host, phase, members}
+//                      start {seed, W, H, tick, slot}          slot = this client's index in state.players
+//                      snapshot {tick, ack, wave, breakTimer, gameOver, players, enemies, bullets, enemyBullets, events}
+//                      error {code, message}
+// A dropped client keeps its seat for RECONNECT_GRACE_MS and can come back with `rejoin`.
+
+import http from 'node:http';
+import crypto from 'node:crypto';
+import { pathToFileURL } from 'node:url';
+import { attachWebSockets } from './ws.js';
+import { startRun, updateGameLogic, randomSeed, MAX_PLAYERS, TICK_MS } from '../sim.js';
+import { snapshotInput } from '../replay.js';
+
+export const MIN_PLAYERS = 2;
+export const SNAPSHOT_EVERY = 3;            // ticks between snapshots (20 per second)
+export const RECONNECT_GRACE_MS = 30000;
+const MAX_QUEUED_INPUTS = 8;                // a client running ahead of the server loses its oldest frames
+const ROOM_CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const round = v=>Math.round(v*10)/10;
+
+function makeRoomCode(rooms){
+  let code;
+  do { code = Array.from({ length: 4 }, ()=>ROOM_CODE_CHARS[crypto.randomInt(ROOM_CODE_CHARS.length)]).join(''); } while(rooms.has(code));
+  return code;
+}
+
+// compact view of the game state for clients; positions rounded to 0.1px
+function snapshotOf(room){
+  const s = room.state;
+  return {
+    t:'snapshot', tick: s.tick, wave: s.wave, breakTimer: round(s.breakTimer), gameOver: s.gameOver,
+    players: s.players.map(p=>({ id:p.id, name: room.members.find(m=>m.slot===p.id)?.name, x:round(p.x), y:round(p.y), aimAngle:round(p.aimAngle*100)/100, hp:p.hp, maxHp:p.maxHp, score:p.score, downed:p.downed, left:p.left, reviveProgress:round(p.reviveProgress), r:p.r, speed:p.speed,
+      credits:p.credits, weapon:p.weapon, ammo:p.ammo, upgrades:p.upgrades, ready:p.ready })),
+    enemies: s.enemies.map(e=>({ id:e.id, x:round(e.x), y:round(e.y), r:e.r, type:e.type, color:e.color, hp:e.hp, maxHp:e.maxHp })),
+    bullets: s.bullets.map(b=>({ id:b.id, x:round(b.x), y:round(b.y), r:b.r, weapon:b.weapon })),
+    enemyBullets: s.enemyBullets.map(b=>({ id:b.id, x:round(b.x), y:round(b.y), r:b.r })),
+    events: room.events.splice(0)
+  };
+}
+
+export function createGameServer(){
+  const rooms = new Map();
+  const server = http.createServer((req, res)=>{ res.writeHead(200, { 'Content-Type':'text/plain' }); res.end(`totalshooter game server — ${rooms.size} room(s)\n`); });
+
+  const send = (conn, msg)=>{ if(conn) conn.send(JSON.stringify(msg)); };
+  const fail = (conn, code, message)=>send(conn, { t:'error', code, message });
+
+  function broadcastLobby(room){
+    const msg = { t:'lobby', room: room.code, host: room.host, phase: room.phase, members: room.members.map(m=>({ id:m.id, name:m.name, connected:!!m.conn, slot:m.slot })) };
+    for(const m of room.members) send(m.conn, msg);
+  }
+
+  function addMember(room, conn, name){
+    const m = { id: crypto.randomUUID(), token: crypto.randomBytes(16).toString('hex'), name: String(name || 'Player').slice(0, 24), conn, slot: null, queue: [], lastInput: {}, lastSeq: 0, graceTimer: null };
+    room.members.push(m); conn.member = m; conn.room = room;
+    if(!room.host) room.host = m.id;
+    send(conn, { t:'joined', room: room.code, token: m.token, memberId: m.id });
+    broadcastLobby(room);
+  }
+
+  function removeMember(room, m){
+    clearTimeout(m.graceTimer);
+    room.members = room.members.filter(x=>x!==m);
+    // their tank is lost for good: downed and marked as left, so it can't be revived into an inputless player,
+    // and (being downed) it no longer counts toward the all-ready break check or keeps the run from ending
+    if(room.phase==='playing' && m.slot!==null){ const p = room.state.players[m.slot]; p.hp = 0; p.downed = true; p.left = true; p.reviveProgress = 0; }
+    if(!room.members.length){ rooms.delete(room.code); return; }
+    if(room.host===m.id) room.host = (room.members.find(x=>x.conn) || room.members[0]).id;
+    broadcastLobby(room);
+  }
+
+  function sendStart(room, m){ send(m.conn, { t:'start', seed: room.state.seed, W: room.state.W, H: room.state.H, tick: room.state.tick, slot: m.slot }); }
+
+  function startRoom(room){
+    room.members.forEach((m,i)=>{ m.slot = i; m.queue = []; m.lastInput = {}; m.lastSeq = 0; });
+    room.state = startRun({ seed: randomSeed(), players: room.members.length });
+    room.events = []; room.phase = 'playing';
+    for(const m of room.members) sendStart(room, m);
+    broadcastLobby(room);
+  }
+
+  function tickRoom(room){
+    if(room.phase!=='playing') return;
+    const inputs = [];
+    for(const m of room.members){
+      if(m.queue.length){ const [seq, input] = m.queue.shift(); m.lastInput = input; m.lastSeq = seq; }
+      inputs[m.slot] = m.conn ? m.lastInput : {}; // a disconnected player stands still
+      m.lastInput = { ...m.lastInput, buy: 0, weapon: 0 }; // a missing frame repeats the last one, but never its purchase or weapon switch
+    }
+    room.events.push(...updateGameLogic(room.state, inputs).filter(ev=>ev.type!=='score'));
+    if(room.state.tick % SNAPSHOT_EVERY===0 || room.state.gameOver){
+      const snap = snapshotOf(room);
+      for(const m of room.members) send(m.conn, { ...snap, ack: m.lastSeq });
+    }
+    if(room.state.gameOver){ room.phase = 'lobby'; broadcastLobby(room); }
+  }
+
+  const handlers = {
+    create(conn, msg){
+      if(conn.room) return fail(conn, 'ALREADY_IN_ROOM', 'leave your current room first');
+      const room = { code: makeRoomCode(rooms), members: [], host: null, phase: 'lobby', state: null, events: [] };
+      rooms.set(room.code, room);
+      addMember(room, conn, msg.name);
+    },
+    join(conn, msg){
+      if(conn.room) return fail(conn, 'ALREADY_IN_ROOM', 'leave your current room first');
+      const room = rooms.get(String(msg.room || '').toUpperCase());
+      if(!room) return fail(conn, 'ROOM_NOT_FOUND', `no room ${msg.room}`);
+      if(room.phase==='playing') return fail(conn, 'GAME_STARTED', 'this room is already playing');
+      if(room.members.length >= MAX_PLAYERS) return fail(conn, 'ROOM_FULL', `rooms hold ${MAX_PLAYERS} players`);
+      addMember(room, conn, msg.name);
+    },
+    rejoin(conn, msg){
+      if(conn.room) return fail(conn, 'ALREADY_IN_ROOM', 'leave your current room first');
+      const room = rooms.get(String(msg.room || '').toUpperCase());
+      const m = room && room.members.find(x=>x.token===msg.token);
+      if(!m) return fail(conn, 'REJOIN_FAILED', 'seat expired or unknown');
+      if(m.conn && m.conn!==conn) m.conn.close(4000, 'replaced by a newer connection');
+      clearTimeout(m.graceTimer); m.graceTimer = null;
+      m.conn = conn; conn.member = m; conn.room = room; m.queue = []; m.lastSeq = 0; // the client restarts its seq on 'start'
+      send(conn, { t:'joined', room: room.code, token: m.token, memberId: m.id });
+      if(room.phase==='playing') sendStart(room, m);
+      broadcastLobby(room);
+    },
+    start(conn){
+      const room = conn.room; if(!room) return fail(conn, 'NOT_IN_ROOM', 'join a room first');
+      if(room.host!==conn.member.id) return fail(conn, 'NOT_HOST', 'only the host can start');
+      if(room.phase==='playing') return fail(conn, 'GAME_STARTED', 'already playing');
+      if(room.members.length < MIN_PLAYERS) return fail(conn, 'NOT_ENOUGH_PLAYERS', `need at least ${MIN_PLAYERS} players`);
+      startRoom(room);
+    },
+    input(conn, msg){
+      const m = conn.member; if(!m || !conn.room || conn.room.phase!=='playing' || !Array.isArray(msg.frames)) return;
+      for(const f of msg.frames){ if(Array.isArray(f) && f[0] > m.lastSeq && (!m.queue.length || f[0] > m.queue[m.queue.length-1][0])) m.queue.push([f[0], snapshotInput(f[1] || {})]); }
+      if(m.queue.length > MAX_QUEUED_INPUTS) m.queue.splice(0, m.queue.length - MAX_QUEUED_INPUTS);
+    },
+    leave(conn){ const room = conn.room, m = conn.member; if(!room) return; conn.room = conn.member = null; removeMember(room, m); }
+  };
+
+  attachWebSockets(server, conn=>{
+    conn.on('message', text=>{
+      let msg; try { msg = JSON.parse(text); } catch(err){ return fail(conn, 'BAD_MESSAGE', 'messages must be JSON'); }
+      const handler = msg && Object.hasOwn(handlers, msg.t) ? handlers[msg.t] : null;
+      if(!handler) return fail(conn, 'BAD_MESSAGE', `unknown message type ${msg && msg.t}`);
+      handler(conn, msg);
+    });
+    conn.on('close', ()=>{
+      const room = conn.room, m = conn.member; if(!room || m.conn!==conn) return;
+      m.conn = null; m.queue = [];
+      m.graceTimer = setTimeout(()=>removeMember(room, m), RECONNECT_GRACE_MS);
+      broadcastLobby(room);
+    });
+  });
+
+  // one fixed-rate loop for every room; catches up after a slow turn, skips ahead after a long stall
+  let nextTick = performance.now(), timer = null;
+  function pump(){
+    const now = performance.now();
+    if(now - nextTick > 250) nextTick = now;
+    while(nextTick <= now){ for(const room of rooms.values()) tickRoom(room); nextTick += TICK_MS; }
+    timer = setTimeout(pump, Math.max(0, nextTick - performance.now()));
+  }
+  server.on('listening', pump);
+  server.on('close', ()=>clearTimeout(timer));
+
+  return { server, rooms };
+}
+
+// --- CLI ------------------------------------------------------
+if(process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href){
+  const i = process.argv.indexOf('--port'); const port = Number(i>0 && process.argv[i+1]) || 8790;
+  createGameServer().server.listen(port, ()=>console.log(`game server on ws://localhost:${port}`));
+}
@@ -0,0 +1,151 @@
+// server/leaderboard-server.js
+// Small local leaderboard server implementing the REST contract of leaderboard/restAdapter.js,
+// so the game can be tested against a real backend offline. No dependencies.
+// Every submitted score is re-simulated from its replay (leaderboard/verify.js, in a worker thread so a long
+// replay doesn't hold up other requests) before it is accepted; rejected runs get 422 { error: <reason code>, message }, and a run whose replayHash is already
+// on the board gets 409 { error: 'DUPLICATE_RUN' }. Submissions are rate limited per IP.
+//
+//   node server/leaderboard-server.js [--port 8787] [--file ./leaderboard.json] [--no-verify]
+//   (or npm run leaderboard-server -- --port 8787)
+//
+// Needs Node 18.20+ or 20.10+ (package.json "engines"); package.json's "type":"module" makes Node load
+// these files as ES modules without flags or warnings. Without --file, scores are kept in memory only.
+// Then set LEADERBOARD_URL = 'http://localhost:8787' in game.js.
+
+import http from 'node:http';
+import fs from 'node:fs/promises';
+import { pathToFileURL } from 'node:url';
+import { Worker } from 'node:worker_threads';
+import { createLocalLeaderboard, memoryStore } from '../leaderboard/localAdapter.js';
+import { isPeriod, normalizeEntry, duplicateRunError } from '../leaderboard/service.js';
+
+const MAX_SUBMIT_BYTES = 4*1024*1024; // replays of long runs are a few MB at most
+
+function fileStore(path){
+  return {
+    load: ()=>fs.readFile(path, 'utf8').then(JSON.parse).catch(err=>{ if(err.code==='ENOENT') return []; throw err; }),
+    save: entries=>fs.writeFile(path, JSON.stringify(entries))
+  };
+}
+
+class HttpError extends Error {
+  constructor(status, code, message){ super(message); this.status = status; this.code = code; }
+}
+
+function readJson(req, limit=64*1024){
+  return new Promise((resolve, reject)=>{
+    let size = 0; const chunks = [];
+    req.on('data', c=>{ size += c.length; if(size > limit){ reject(new HttpError(413, 'TOO_LARGE', 'request body too large')); req.destroy(); } else chunks.push(c); });
+    req.on('end', ()=>{ try { resolve(JSON.parse(Buffer.concat(chunks).toString('utf8'))); } catch(err){ reject(new HttpError(400, 'BAD_JSON', 'body is not valid JSON')); } });
+    req.on('error', reject);
+  });
+}
+
+// Token bucket per client address: `burst` submissions at once, then one every `everyMs`.
+// Buckets that have filled back up are dropped now and then (a new one is the same), so only recent clients are held.
+export function createRateLimiter({ burst = 5, everyMs = 12000 } = {}){
+  const buckets = new Map(); let sweptAt = 0;
+  return function take(key, now=Date.now()){
+    if(now - sweptAt >= burst*everyMs){ sweptAt = now; for(const [k, b] of buckets) if(b.tokens + (now - b.at)/everyMs >= burst) buckets.delete(k); }
+    const b = buckets.get(key) || { tokens: burst, at: now };
+    b.tokens = Math.min(burst, b.tokens + (now - b.at)/everyMs); b.at = now;
+    buckets.set(key, b);
+    if(b.tokens < 1) return Math.ceil((1 - b.tokens)*everyMs);
+    b.tokens -= 1; return 0;
+  };
+}
+
+// verifyRun in worker threads (verify-worker.js), `workers` at a time; up to `queue` more wait their turn and
+// anything past that gets 503. A verification still running after `timeoutMs` is stopped.
+export function createVerifier({ workers = 1, queue = 20, timeoutMs = 120000 } = {}){
+  let running = 0; const waiting = [];
+  function run(sub){
+    return new Promise((resolve, reject)=>{
+      const worker = new Worker(new URL('./verify-worker.js', import.meta.url), { workerData: sub });
+      const timer = setTimeout(()=>{ reject(new HttpError(503, 'VERIFY_TIMEOUT', 'replay took too long to verify')); worker.terminate(); }, timeoutMs);
+      worker.once('message', result=>{ clearTimeout(timer); resolve(result); worker.terminate(); });
+      worker.once('error', err=>{ clearTimeout(timer); reject(err); });
+      worker.once('exit', code=>{ clearTimeout(timer); reject(new Error(`verify worker exited with code ${code}`)); }); // no-op once settled
+    });
+  }
+  function next(){
+    if(running >= workers || !waiting.length) return;
+    const job = waiting.shift(); running++;
+    run(job.sub).then(job.resolve, job.reject).finally(()=>{ running--; next(); });
+  }
+  return function verify(sub){
+    if(waiting.length >= queue) return Promise.reject(new HttpError(503, 'BUSY', 'too many runs waiting for verification, retry later'));
+    return new Promise((resolve, reject)=>{ waiting.push({ sub, resolve, reject }); next(); });
+  };
+}
+
+function send(res, status, body){
+  res.writeHead(status, { 'Content-Type':'application/json', 'Access-Control-Allow-Origin':'*', 'Access-Control-Allow-Headers':'Content-Type', 'Access-Control-Allow-Methods':'GET,POST,OPTIONS' });
+  res.end(JSON.stringify(body));
+}
+
+function periodParam(url){
+  const period = url.searchParams.get('period') || 'alltime';
+  if(!isPeriod(period)) throw new HttpError(400, 'BAD_PERIOD', `unknown period '${period}'`);
+  return period;
+}
+
+// board: a local leaderboard (leaderboard/localAdapter.js) — besides the service contract the server uses its hasRun()
+export function createLeaderboardServer({ board = createLocalLeaderboard({ store: memoryStore(), keep: 5000 }), verify = true, verifier = createVerifier(), limiter = createRateLimiter() } = {}){
+  const inFlight = new Set(); // replayHashes being verified right now
+  const routes = {
+    'POST /api/scores': async (req)=>{
+      const waitMs = limiter(req.socket.remoteAddress);
+      if(waitMs) throw new HttpError(429, 'RATE_LIMITED', `too many submissions, retry in ${Math.ceil(waitMs/1000)}s`);
+      const body = await readJson(req, MAX_SUBMIT_BYTES);
+      let hash;
+      try { hash = normalizeEntry(body).replayHash; }
+      catch(err){ if(err.code==='BAD_ENTRY') throw new HttpError(400, err.code, err.message); throw err; }
+      // a known run (or the same one still being verified) is turned away before the worker re-simulates it
+      const duplicate = ()=>new HttpError(409, 'DUPLICATE_RUN', duplicateRunError().message);
+      if(inFlight.has(hash) || await board.hasRun(hash)) throw duplicate();
+      inFlight.add(hash);
+      try {
+        if(verify){
+          const check = await verifier(body);
+          if(!check.ok) throw new HttpError(422, check.reason, check.message);
+        }
+        return [201, await board.submit(body)];
+      }
+      catch(err){ if(err.code==='DUPLICATE_RUN') throw duplicate(); throw err; }
+      finally { inFlight.delete(hash); }
+    },
+    'GET /api/scores': async (req, url)=>{
+      const period = periodParam(url);
+      const limit = Math.max(1, Math.min(100, Number(url.searchParams.get('limit')) || 10));
+      return [200, { period, entries: await board.top(period, limit) }];
+    },
+    'GET /api/rank': async (req, url)=>{
+      const period = periodParam(url); const name = url.searchParams.get('name');
+      if(!name) throw new HttpError(400, 'BAD_NAME', 'name is required');
+      return [200, { period, name, rank: await board.rankOf(name, period) }];
+    }
+  };
+  return http.createServer(async (req, res)=>{
+    if(req.method==='OPTIONS') return send(res, 204, {});
+    const url = new URL(req.url, 'http://localhost');
+    const route = routes[`${req.method} ${url.pathname}`];
+    try {
+      if(!route) throw new HttpError(404, 'NOT_FOUND', `no route for ${req.method} ${url.pathname}`);
+      const [status, body] = await route(req, url);
+      send(res, status, body);
+    } catch(err){
+      if(!(err instanceof HttpError)) console.error(err);
+      send(res, err.status || 500, { error: err.code || 'INTERNAL', message: err.message });
+    }
+  });
+}
+
+// --- CLI ------------------------------------------------------
+if(process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href){
+  const arg = name=>{ const i = process.argv.indexOf(name); return i>0 ? process.argv[i+1] : undefined; };
+  const port = Number(arg('--port')) || 8787; const file = arg('--file');
+  const verify = !process.argv.includes('--no-verify');
+  const board = createLocalLeaderboard({ store: file ? fileStore(file) : memoryStore(), keep: 5000 });
+  createLeaderboardServer({ board, verify }).listen(port, ()=>console.log(`leaderboard server on http://localhost:${port}${file ? ` (saving to ${file})` : ' (in memory)'}${verify ? '' : ' — replay verification OFF'}`));
+}
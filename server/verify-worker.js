@@ -0,0 +1,8 @@
+// server/verify-worker.js
+// Worker thread for server/leaderboard-server.js: re-simulates one submission (leaderboard/verify.js)
+// off the server's event loop and posts the verdict back.
+
+import { parentPort, workerData } from 'node:worker_threads';
+import { verifyRun } from '../leaderboard/verify.js';
+
+parentPort.postMessage(await verifyRun(workerData));
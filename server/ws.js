@@ -0,0 +1,86 @@
+// server/ws.js
+// Minimal WebSocket (RFC 6455) server on top of node:http — just enough for the game server:
+// text messages, ping/pong, close, fragmented frames. No dependencies, no extensions.
+//
+//   attachWebSockets(httpServer, conn=>{ conn.on('message', text=>...); conn.on('close', ()=>...); conn.send('hi'); });
+
+import crypto from 'node:crypto';
+import { EventEmitter } from 'node:events';
+
+const GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_BYTES = 1024*1024;
+const OP = { CONT:0, TEXT:1, BINARY:2, CLOSE:8, PING:9, PONG:10 };
+
+function frame(opcode, payload){
+  const len = payload.length;
+  const head = len < 126 ? Buffer.alloc(2) : len < 65536 ? Buffer.alloc(4) : Buffer.alloc(10);
+  head[0] = 0x80 | opcode;
+  if(len < 126) head[1] = len;
+  else if(len < 65536){ head[1] = 126; head.writeUInt16BE(len, 2); }
+  else { head[1] = 127; head.writeBigUInt64BE(BigInt(len), 2); }
+  return Buffer.concat([head, payload]);
+}
+
+export class WebSocketConnection extends EventEmitter {
+  constructor(socket, req){
+    super();
+    this.socket = socket; this.req = req; this.open = true;
+    this.buffer = Buffer.alloc(0); this.fragments = []; this.fragmentOp = 0;
+    socket.setNoDelay(true);
+    socket.on('data', chunk=>{ this.buffer = Buffer.concat([this.buffer, chunk]); this.readFrames(); });
+    socket.on('close', ()=>this.finish());
+    socket.on('error', ()=>this.finish());
+  }
+
+  get remoteAddress(){ return this.socket.remoteAddress; }
+
+  send(text){ if(this.open) this.socket.write(frame(OP.TEXT, Buffer.from(text, 'utf8'))); }
+
+  close(code=1000, reason=''){
+    if(!this.open) return;
+    const payload = Buffer.alloc(2 + Buffer.byteLength(reason)); payload.writeUInt16BE(code, 0); payload.write(reason, 2);
+    this.socket.write(frame(OP.CLOSE, payload)); this.socket.end();
+    this.finish();
+  }
+
+  finish(){ if(!this.open) return; this.open = false; this.socket.destroy(); this.emit('close'); }
+
+  readFrames(){
+    while(this.open && this.buffer.length >= 2){
+      const b = this.buffer;
+      const fin = (b[0] & 0x80) !== 0, opcode = b[0] & 0x0f, masked = (b[1] & 0x80) !== 0;
+      let len = b[1] & 0x7f, off = 2;
+      if(len===126){ if(b.length < 4) return; len = b.readUInt16BE(2); off = 4; }
+      else if(len===127){ if(b.length < 10) return; len = Number(b.readBigUInt64BE(2)); off = 10; }
+      if(!masked || len > MAX_MESSAGE_BYTES) return this.close(1002, 'protocol error'); // clients must mask
+      if(b.length < off + 4 + len) return;
+      const mask = b.subarray(off, off+4); const payload = Buffer.from(b.subarray(off+4, off+4+len));
+      for(let i=0;i<payload.length;i++) payload[i] ^= mask[i & 3];
+      this.buffer = b.subarray(off+4+len);
+      this.handleFrame(fin, opcode, payload);
+    }
+  }
+
+  handleFrame(fin, opcode, payload){
+    if(opcode===OP.PING) return this.socket.write(frame(OP.PONG, payload));
+    if(opcode===OP.PONG) return;
+    if(opcode===OP.CLOSE) return this.close();
+    if(opcode!==OP.CONT){ this.fragmentOp = opcode; this.fragments = []; }
+    this.fragments.push(payload);
+    if(this.fragments.reduce((n,f)=>n+f.length, 0) > MAX_MESSAGE_BYTES) return this.close(1009, 'message too big');
+    if(!fin) return;
+    const data = Buffer.concat(this.fragments); this.fragments = [];
+    if(this.fragmentOp===OP.TEXT) this.emit('message', data.toString('utf8'));
+  }
+}
+
+// Accepts WebSocket upgrades on `server` (any path) and hands each connection to onConnection.
+export function attachWebSockets(server, onConnection){
+  server.on('upgrade', (req, socket)=>{
+    const key = req.headers['sec-websocket-key'];
+    if(!key || String(req.headers.upgrade).toLowerCase() !== 'websocket'){ socket.end('HTTP/1.1 400 Bad Request\r\n\r\n'); return; }
+    const accept = crypto.createHash('sha1').update(key + GUID).digest('base64');
+    socket.write(['HTTP/1.1 101 Switching Protocols', 'Upgrade: websocket', 'Connection: Upgrade', `Sec-WebSocket-Accept: ${accept}`, '', ''].join('\r\n'));
+    onConnection(new WebSocketConnection(socket, req));
+  });
+}
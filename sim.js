@@ -0,0 +1,372 @@
+// sim.js
+// Headless simulation core for TotalShooter — no React, canvas or WebAudio in here.
+// - All randomness goes through a seeded RNG whose state lives on the game state (serializable).
+// - Fixed timestep: one call to updateGameLogic advances exactly DT seconds of simulation time.
+//   Speeds are in px/s and timers in seconds, so the game plays the same at any display refresh rate.
+// - Sounds and score changes are reported through the returned event list instead of called directly.
+//
+// - Enemy stats and AI come from the data-driven registry in enemies/ (enemies.json + behaviours.js),
+//   and what spawns when from the wave scripts in waves/ (waves.json + director.js).
+// - Guns and the between-waves shop come from weapons/ (weapons.json + shop.js).
+// - Collisions go through a uniform-grid broadphase; bullets, enemies and particles are pooled and
+//   removed by swap-remove (physics/), so list order is not spawn order.
+//
+// Same seed + same input per tick => same game, in the browser and in Node alike.
+
+import { ENEMY_TYPES, enemyDef } from './enemies/registry.js';
+import { BEHAVIOURS, dodgeVector, DODGE_SWEEP } from './enemies/behaviours.js';
+import { WAVE_SCRIPT, planWave, bossForWave, formationPoints } from './waves/director.js';
+import { WEAPONS, WEAPON_IDS, STARTING_WEAPON, SHOP_ITEMS, shopItem, fireInterval } from './weapons/registry.js';
+import { applyItem } from './weapons/shop.js';
+import { createGrid } from './physics/grid.js';
+import { createPool, removeAt } from './physics/pool.js';
+
+export const SIM_VERSION = 9;
+export const TICK_RATE = 60;             // simulation ticks per second
+export const DT = 1/TICK_RATE;           // seconds per tick
+export const TICK_MS = 1000/TICK_RATE;
+const PARTICLE_DRAG = Math.pow(0.98, 60); // velocity kept per second
+const PARTICLE_DRAG_TICK = Math.pow(PARTICLE_DRAG, DT);
+const ENEMY_BULLET_LIFE = 3;               // seconds
+const BASE_ENEMY_SPEED = 54;              // px/s, wave 1
+const ENEMY_SPEED_PER_WAVE = 7.2;         // px/s added each wave, up to SPEED_WAVE_CAP
+const SPEED_WAVE_CAP = 20;
+const BOSS_HP_PER_EXTRA_PLAYER = 0.5;     // co-op bosses get this much more HP per extra player
+const BOSS_KNOCKBACK = 30;                // px a player is thrown clear of a boss they touch
+const TARGET_HP_WEIGHT = 150;             // enemies treat each missing HP on a player as this many px closer
+const SPLASH_MAX_TARGETS = 8;             // enemies one explosion can damage
+const MAX_PARTICLES = 800;                // bursts past this many live particles are dropped
+export const MAX_PLAYERS = 4;
+export const REVIVE_RADIUS = 60;          // px between the edges of a living and a downed player
+export const REVIVE_TIME = 3;             // seconds of standing next to a downed player to revive them
+
+// points per bullet hit that doesn't kill, and per kill by enemy type (from enemies.json); kills also pay
+// the same amount in shop credits
+export const SCORE_TABLE = { hit: 8, kill: Object.fromEntries(Object.values(ENEMY_TYPES).map(d=>[d.type, d.score])) };
+
+// Pools (physics/pool.js) and broadphase grids (physics/grid.js). The grids are scratch space rebuilt
+// inside each updateGameLogic call, so one set serves every game state.
+const bulletPool = createPool(()=>({ id:0, x:0, y:0, px:0, py:0, vx:0, vy:0, r:0, life:0, owner:-1, weapon:null, damage:0, pierce:0, hits:[] }));
+const enemyPool = createPool(()=>({}));
+const particlePool = createPool(()=>({ x:0, y:0, px:0, py:0, vx:0, vy:0, life:0, size:0, col:'' }));
+// Player bullets are filed along their dodge sweep, so a dodging enemy only reads its own cell.
+const enemyGrid = createGrid(64), bulletGrid = createGrid(64), enemyBulletGrid = createGrid(64);
+const MAX_DODGER_R = Math.max(...Object.values(ENEMY_TYPES).filter(d=>d.dodge > 0).map(d=>d.r)); // sweep pad: only dodgers read it
+const candidates = []; // scratch list for grid queries
+
+// --- Seeded RNG (mulberry32) ----------------------------------
+export function randomSeed(){ return (Math.random()*4294967296)>>>0; }
+export function nextRandom(state){
+  state.rngState = (state.rngState + 0x6D2B79F5)>>>0;
+  let t = state.rngState;
+  t = Math.imul(t ^ (t>>>15), t | 1);
+  t ^= t + Math.imul(t ^ (t>>>7), t | 61);
+  return ((t ^ (t>>>14))>>>0) / 4294967296;
+}
+
+// --- State ----------------------------------------------------
+export function makeInitialGameState(opts={}){
+  const seed = (opts.seed ?? randomSeed())>>>0;
+  return {
+    W: 1200, H: 680,
+    seed, rngState: seed, tick: 0, time: 0, nextId: 1,
+    players: Array.from({ length: Math.max(1, Math.min(MAX_PLAYERS, opts.players || 1)) }, (_,i)=>makePlayer(i, 600, 340)),
+    bullets: [], enemyBullets: [], enemies: [], particles: [],
+    wave:1, waveTime:0, waveQueue:[], breakTimer:WAVE_SCRIPT.firstBreak, enemySpeedBase:BASE_ENEMY_SPEED,
+    running: false, paused:false, gameOver:false
+  }
+}
+
+// ammo: remaining shots per owned weapon (null = unlimited); upgrades: levels bought in the shop;
+// cooldown: seconds until the next shot (carried across ticks, so fire rates aren't rounded to whole ticks);
+// left: the player quit an online run (server/game-server.js) — downed for good, nobody can revive them
+function makePlayer(id,x,y){ return { id, x, y, r:20, speed:240, baseSpeed:240, hp:3, maxHp:3, score:0, credits:0, vx:0, vy:0, aimAngle:0, cooldown:0, downed:false, reviveProgress:0,
+  weapon:STARTING_WEAPON, ammo:{ [STARTING_WEAPON]: null }, upgrades:{ damage:0, rate:0, speed:0 }, ready:false, left:false }; }
+
+// A fresh running game — what both a live run and a replay start from. Players start side by side in the middle.
+export function startRun(opts={}){
+  const s = makeInitialGameState(opts); s.running = true;
+  const n = s.players.length; s.players.forEach((p,i)=>{ p.x = s.W/2 + (i - (n-1)/2)*80; p.y = s.H/2; });
+  return s;
+}
+
+export function teamScore(state){ return state.players.reduce((sum,p)=>sum + p.score, 0); }
+export function livingPlayers(state){ return state.players.filter(p=>!p.downed); }
+
+// Upper bound on points per second for one player, taking the best weapon with every upgrade: each
+// shot lands all its pellets, every pierce and a full splash, and no single hit is worth more on average
+// than the best enemy's (kill score + hits before the kill) / (hits needed to kill it).
+// Used by the leaderboard server as a sanity check.
+export function maxScorePerSecond(){
+  const maxRate = 1 + shopItem('rate').amount*shopItem('rate').max;
+  return Math.max(...Object.values(WEAPONS).map(w=>{
+    const maxDamage = Math.max(w.damage, w.splash ? w.splash.damage : 0) + shopItem('damage').max;
+    const perHit = Math.max(SCORE_TABLE.hit, ...Object.values(ENEMY_TYPES).map(d=>(d.score + (d.hp-1)*SCORE_TABLE.hit)/Math.ceil(d.hp/maxDamage)));
+    const hitsPerShot = w.pellets*(w.pierce + 1 + (w.splash ? SPLASH_MAX_TARGETS : 0));
+    return w.fireRate*maxRate*hitsPerShot*perHit;
+  }));
+}
+
+// --- Weapons --------------------------------------------------
+// A pooled projectile flying at `ang`, added to `list` (state.bullets for players, state.enemyBullets for enemies).
+function makeBullet(state, list, x, y, ang, speed, r, life, owner, weapon, damage, pierce){
+  const b = bulletPool.acquire();
+  b.id = state.nextId++; b.x = b.px = x; b.y = b.py = y; b.vx = Math.cos(ang)*speed; b.vy = Math.sin(ang)*speed;
+  b.r = r; b.life = life; b.owner = owner; b.weapon = weapon; b.damage = damage; b.pierce = pierce; b.hits.length = 0;
+  list.push(b);
+  return b;
+}
+
+// One projectile of weapon `weaponId` from player p at x,y (no upgrades applied) — for tools like bench/.
+export function spawnBullet(state, p, weaponId, x, y, ang){
+  const w = WEAPONS[weaponId];
+  return makeBullet(state, state.bullets, x, y, ang, w.speed, w.radius, w.life, p.id, w.id, w.damage, w.pierce);
+}
+
+// One shot of p's current weapon: `pellets` projectiles fanned over `spread`, each nudged by `jitter`.
+// Uses up ammo; an empty weapon drops back to the starting one.
+function fireWeapon(state, p, w){
+  const bx = p.x + Math.cos(p.aimAngle)*(p.r+8), by = p.y + Math.sin(p.aimAngle)*(p.r+8);
+  for(let k=0;k<w.pellets;k++){
+    const ang = p.aimAngle + (w.pellets > 1 ? (k/(w.pellets-1) - 0.5)*w.spread : 0) + (w.jitter ? (nextRandom(state) - 0.5)*w.jitter : 0);
+    makeBullet(state, state.bullets, bx, by, ang, w.speed, w.radius, w.life, p.id, w.id, w.damage + p.upgrades.damage, w.pierce);
+  }
+  if(p.ammo[w.id] !== null && --p.ammo[w.id] <= 0){ delete p.ammo[w.id]; p.weapon = STARTING_WEAPON; }
+}
+
+// --- Enemies --------------------------------------------------
+// One enemy of `type` (see enemies/enemies.json) at x,y, added to the game. Every field any behaviour
+// uses is reset here, so a pooled enemy never carries AI state over from its previous life.
+export function makeEnemy(state, type, x, y){
+  const def = enemyDef(type);
+  const hp = def.boss ? Math.round(def.hp*(1 + BOSS_HP_PER_EXTRA_PLAYER*(state.players.length-1))) : def.hp;
+  const e = enemyPool.acquire();
+  e.id = state.nextId++; e.x = e.px = x; e.y = e.py = y; e.r = def.r; e.hp = e.maxHp = hp; e.type = type; e.color = def.sprite.color;
+  e.vx = 0; e.vy = 0; e.inside = false; e.dead = false; e.dir = 0; e.fireTimer = 0; e.orbit = 0; e.phase = 0; e.spin = 0; e.attackTimers = null;
+  const b = BEHAVIOURS[def.behaviour]; if(b.init) b.init(e, def, ()=>nextRandom(state));
+  state.enemies.push(e);
+  return e;
+}
+
+// --- Waves ----------------------------------------------------
+// Opens state.wave: queues its groups (waves/director.js), sets the enemy speed and brings in the boss on boss waves.
+function startWave(state, events){
+  const rnd = ()=>nextRandom(state);
+  for(const p of state.players) p.ready = false;
+  state.waveQueue = planWave(state.wave, rnd); state.waveTime = 0;
+  state.enemySpeedBase = BASE_ENEMY_SPEED + Math.min(state.wave-1, SPEED_WAVE_CAP)*ENEMY_SPEED_PER_WAVE;
+  const boss = bossForWave(state.wave);
+  if(boss) makeEnemy(state, boss, state.W/2, -enemyDef(boss).r - 40);
+  events.push({ type:'wave', wave:state.wave, boss });
+}
+
+// Breaks count down to the next wave (cut short once every standing player is ready); during a wave
+// its groups spawn on schedule, and the wave is cleared once everything has spawned and nothing is left alive.
+function stepWaves(state, events){
+  if(state.breakTimer > 0){
+    state.breakTimer = livingPlayers(state).every(p=>p.ready) ? 0 : Math.max(0, state.breakTimer - DT);
+    if(state.breakTimer===0) startWave(state, events);
+    return;
+  }
+  state.waveTime += DT;
+  while(state.waveQueue.length && state.waveQueue[0].at <= state.waveTime){
+    const g = state.waveQueue.shift();
+    for(const pt of formationPoints(state, g, ()=>nextRandom(state))) makeEnemy(state, g.type, pt.x, pt.y);
+  }
+  if(!state.waveQueue.length && !state.enemies.length){ events.push({ type:'waveClear', wave:state.wave }); state.wave++; state.breakTimer = WAVE_SCRIPT.breakSeconds; }
+}
+
+// The boss currently on the field, or null.
+export function activeBoss(state){ return state.enemies.find(e=>enemyDef(e.type).boss) || null; }
+
+function makeParticle(state,x,y,red=false){ const rnd = ()=>nextRandom(state); const ang = rnd()*Math.PI*2; const sp = (rnd()*4 + (red?1.6:0.6))*60; const q = particlePool.acquire(); q.x = q.px = x; q.y = q.py = y; q.vx = Math.cos(ang)*sp; q.vy = Math.sin(ang)*sp; q.life = Math.floor(rnd()*30+20)/60; q.size = rnd()*2+1; q.col = red? '#ff6b6b' : (rnd()<0.5? '#fff' : '#ffd'); return q; }
+
+// n particles at x,y into `list` (rngHolder: whatever owns the rngState — the game state, or a client's fx), up to MAX_PARTICLES.
+export function burst(rngHolder, list, x, y, n, red=false){ for(let k=0;k<n && list.length < MAX_PARTICLES;k++) list.push(makeParticle(rngHolder,x,y,red)); }
+
+// Spawns the pieces of a killed splitter in a ring around where it died.
+function splitEnemy(state, e){
+  const def = enemyDef(e.type);
+  for(let k=0;k<def.splitCount;k++){ const ang = Math.PI*2*k/def.splitCount; makeEnemy(state, def.splitInto, e.x + Math.cos(ang)*e.r, e.y + Math.sin(ang)*e.r); }
+}
+
+// --- Tick -----------------------------------------------------
+// Remember where everything was before this tick so the renderer can interpolate (see lerpPos).
+function storePrevPositions(state){
+  for(const list of [state.players, state.bullets, state.enemyBullets, state.enemies, state.particles]) for(const o of list){ o.px = o.x; o.py = o.y; }
+}
+
+// One tick of particle motion/fade; also used by network clients for their local-only effects.
+export function stepParticles(particles){
+  for(let i=particles.length-1;i>=0;i--){ const q=particles[i]; q.x+=q.vx*DT; q.y+=q.vy*DT; q.vx*=PARTICLE_DRAG_TICK; q.vy*=PARTICLE_DRAG_TICK; q.life-=DT; if(q.life<=0) particlePool.release(removeAt(particles, i)); }
+}
+
+// Interpolated draw position of an entity, alpha in [0,1] between the previous and current tick.
+export function lerpPos(o, alpha){ return { x: o.px===undefined? o.x : o.px + (o.x-o.px)*alpha, y: o.py===undefined? o.y : o.py + (o.y-o.py)*alpha }; }
+
+// True while updateGameLogic would actually advance the game (recorders key off this).
+export function simActive(state){ return state.running && !state.paused && !state.gameOver; }
+
+// Moves one player by one tick of input and updates their aim. Exported so a network client can
+// predict its own player with exactly the server's movement rules.
+export function movePlayer(state, p, input){
+  const ox = p.x, oy = p.y;
+  const step = p.speed*DT;
+  if(input.left) p.x -= step; if(input.right) p.x += step; if(input.up) p.y -= step; if(input.down) p.y += step;
+  // joystick (touch / gamepad stick)
+  if(input.joyX || input.joyY){ p.x += input.joyX * step; p.y += input.joyY * step; }
+  // bounds
+  p.x = Math.max(p.r, Math.min(state.W - p.r, p.x)); p.y = Math.max(p.r, Math.min(state.H - p.r, p.y));
+  p.vx = (p.x - ox)/DT; p.vy = (p.y - oy)/DT;
+  // aim: a direction (aimDirX/Y: gamepad stick, keyboard-only player) wins over a point (aimX/Y: mouse, touch)
+  if(input.aimDirX || input.aimDirY) p.aimAngle = Math.atan2(input.aimDirY, input.aimDirX);
+  else if(input.aimX != null) p.aimAngle = Math.atan2(input.aimY - p.y, input.aimX - p.x);
+  else p.aimAngle = Math.atan2(state.H/2 - p.y, state.W/2 - p.x);
+}
+
+// Living player an enemy goes after: the nearest one, with wounded players counting as closer.
+export function pickTarget(state, e){
+  let best = null, bestCost = Infinity;
+  for(const p of state.players){ if(p.downed) continue; const cost = Math.hypot(p.x-e.x, p.y-e.y) + (p.maxHp - p.hp)*TARGET_HP_WEIGHT; if(cost < bestCost){ best = p; bestCost = cost; } }
+  return best;
+}
+
+// Advances the simulation by exactly one tick (DT seconds).
+// inputs: one input per player (a single object is fine for solo play):
+//   { up, down, left, right, fire, touchFire, ready, aimX, aimY, aimDirX, aimDirY, joyX, joyY, buy, weapon }
+// joyX/joyY is a normalized stick vector (0,0 when idle). buy: 1-based index into SHOP_ITEMS (between waves only),
+// weapon: 1-based weapon slot to switch to, ready: done shopping (0/false = nothing). Returns the events produced during this tick:
+//   shot {player, weapon} | buy {player, item} | explode {player, x, y, radius} | enemyShot {enemy, x, y} | hit {enemy, player, bullet, x, y} | kill {enemy, player, bullet, x, y} | hurt {player, hp, x, y}
+//   score {player, amount, total} | down {player} | revive {player, by} | wave {wave, boss} | waveClear {wave}
+//   bossPhase {enemy, phase, x, y} | gameOver {score}      (player = index into state.players)
+export function updateGameLogic(state, inputs){
+  const events = [];
+  if(!simActive(state)) return events;
+  if(!Array.isArray(inputs)) inputs = [inputs];
+  storePrevPositions(state);
+  state.tick++; state.time = state.tick*DT;
+  const addScore = (p, amount)=>{ p.score += amount; events.push({ type:'score', player:p.id, amount, total:p.score }); };
+  const hurtPlayer = p=>{
+    p.hp--; events.push({ type:'hurt', player:p.id, hp:p.hp, x:p.x, y:p.y }); burst(state, state.particles, p.x, p.y, 12, true);
+    if(p.hp<=0){ p.downed = true; p.reviveProgress = 0; events.push({ type:'down', player:p.id }); }
+  };
+  const env = { dt: DT, speed: 0, rnd: ()=>nextRandom(state), spawn: (type, x, y)=>makeEnemy(state, type, x, y), emit: ev=>events.push(ev),
+    near: (x, y, r, visit)=>enemyGrid.query(x, y, r, visit),
+    fire(e, ang, speed){
+      makeBullet(state, state.enemyBullets, e.x, e.y, ang, speed, 6, ENEMY_BULLET_LIFE, -1, null, 1, 0);
+      events.push({ type:'enemyShot', enemy:e.type, x:e.x, y:e.y });
+    } };
+  for(const p of state.players){
+    if(p.downed) continue;
+    const input = inputs[p.id] || {};
+    movePlayer(state, p, input);
+    // shop (between waves), weapon switch (owned weapons only)
+    const item = input.buy && SHOP_ITEMS[input.buy-1];
+    if(item && state.breakTimer > 0 && applyItem(p, item)) events.push({ type:'buy', player:p.id, item:item.id });
+    if(input.ready && state.breakTimer > 0) p.ready = true;
+    const slot = input.weapon && WEAPON_IDS[input.weapon-1];
+    if(slot && slot in p.ammo) p.weapon = slot;
+    // shooting: every interval that has run out this tick fires a shot; an idle trigger doesn't bank any
+    p.cooldown -= DT;
+    if(input.fire || input.touchFire) while(p.cooldown <= 0){
+      const w = WEAPONS[p.weapon];
+      fireWeapon(state, p, w);
+      p.cooldown += fireInterval(p, w);
+      events.push({ type:'shot', player:p.id, weapon:w.id });
+    }
+    else if(p.cooldown < 0) p.cooldown = 0;
+  }
+  // revive: a living teammate standing next to a downed player slowly brings them back (not one who has left)
+  for(const p of state.players){
+    if(!p.downed || p.left) continue;
+    const helpers = state.players.filter(q=>!q.downed && Math.hypot(q.x-p.x, q.y-p.y) < q.r + p.r + REVIVE_RADIUS);
+    p.reviveProgress = Math.max(0, p.reviveProgress + (helpers.length ? DT : -DT));
+    if(p.reviveProgress >= REVIVE_TIME){ p.downed = false; p.hp = 1; p.reviveProgress = 0; events.push({ type:'revive', player:p.id, by:helpers.map(q=>q.id) }); }
+  }
+  // bullets update
+  const offscreen = b=>b.life<=0 || b.x< -50 || b.x>state.W+50 || b.y<-50 || b.y>state.H+50;
+  for(let i=state.bullets.length-1;i>=0;i--){ const b = state.bullets[i]; b.x += b.vx*DT; b.y += b.vy*DT; b.life -= DT; if(offscreen(b)) bulletPool.release(removeAt(state.bullets, i)); }
+  for(let i=state.enemyBullets.length-1;i>=0;i--){ const b = state.enemyBullets[i]; b.x += b.vx*DT; b.y += b.vy*DT; b.life -= DT; if(offscreen(b)) bulletPool.release(removeAt(state.enemyBullets, i)); }
+  // enemies AI: each archetype's behaviour steers toward its target player; dodgers also sidestep incoming bullets
+  // (enemies spawned during the loop — summons — start moving next tick)
+  bulletGrid.buildSwept(state.W, state.H, state.bullets, DODGE_SWEEP.seconds, MAX_DODGER_R + DODGE_SWEEP.margin);
+  enemyGrid.build(state.W, state.H, state.enemies);
+  for(let i=0, n=state.enemies.length;i<n;i++){
+    const e = state.enemies[i];
+    const p = pickTarget(state, e); if(!p) continue;
+    const def = enemyDef(e.type);
+    env.speed = state.enemySpeedBase * def.speed;
+    BEHAVIOURS[def.behaviour].step(state, e, def, p, env);
+    if(def.dodge){
+      candidates.length = 0; bulletGrid.at(e.x, e.y, b=>{ candidates.push(b); });
+      const d = dodgeVector(candidates, e); const m = Math.hypot(d.x, d.y); if(m){ const k = Math.min(1, m)*def.dodge*env.speed/m; e.vx += d.x*k; e.vy += d.y*k; }
+    }
+    e.x += e.vx*DT; e.y += e.vy*DT;
+    // once fully inside the arena an enemy stays there, so orbiting and ranged enemies can't stall a wave off-screen
+    if(e.inside){ e.x = Math.max(e.r, Math.min(state.W - e.r, e.x)); e.y = Math.max(e.r, Math.min(state.H - e.r, e.y)); }
+    else e.inside = e.x >= e.r && e.x <= state.W - e.r && e.y >= e.r && e.y <= state.H - e.r;
+  }
+
+  // collisions: bullets vs enemies — piercing shots go through `pierce` more enemies (never the same one twice),
+  // rockets splash, splitters break into smaller enemies where they die; the dead are swept out after the player collisions
+  const damageEnemy = (e, amount, b, x, y)=>{
+    if(e.dead) return;
+    e.hp -= amount; const owner = b.owner, shooter = state.players[owner];
+    if(e.hp<=0){ e.dead = true; events.push({ type:'kill', enemy:e.type, player:owner, bullet:b.id, x:e.x, y:e.y }); addScore(shooter, SCORE_TABLE.kill[e.type]); shooter.credits += SCORE_TABLE.kill[e.type]; splitEnemy(state, e); }
+    else { events.push({ type:'hit', enemy:e.type, player:owner, bullet:b.id, x, y }); addScore(shooter, SCORE_TABLE.hit); }
+  };
+  enemyGrid.build(state.W, state.H, state.enemies); // after AI movement; enemies split off below aren't in it until next tick
+  const splash = [];
+  for(let j=state.bullets.length-1;j>=0;j--){
+    const b = state.bullets[j];
+    const spent = enemyGrid.query(b.x, b.y, b.r, e=>{
+      if(e.dead || b.hits.includes(e.id) || Math.hypot(e.x-b.x, e.y-b.y) >= e.r + b.r) return false;
+      b.hits.push(e.id);
+      burst(state, state.particles, b.x, b.y, 6);
+      damageEnemy(e, b.damage, b, b.x, b.y);
+      const blast = WEAPONS[b.weapon].splash;
+      if(blast){
+        splash.length = 0;
+        enemyGrid.query(b.x, b.y, blast.radius, o=>{ if(o!==e && !o.dead && Math.hypot(o.x-b.x, o.y-b.y) < blast.radius + o.r) splash.push(o); return splash.length >= SPLASH_MAX_TARGETS; });
+        for(const o of splash) damageEnemy(o, blast.damage + state.players[b.owner].upgrades.damage, b, o.x, o.y);
+        burst(state, state.particles, b.x, b.y, 16, true);
+        events.push({ type:'explode', player:b.owner, x:b.x, y:b.y, radius:blast.radius });
+      }
+      return !!blast || b.hits.length > b.pierce;
+    });
+    if(spent) bulletPool.release(removeAt(state.bullets, j));
+  }
+
+  // collisions: enemies and enemy bullets vs players — a player at 0 HP goes down; the run ends when nobody is left standing.
+  // Enemies that ram a player die; bullets that land are spent (life -1) — both are swept out below.
+  enemyBulletGrid.build(state.W, state.H, state.enemyBullets);
+  for(const p of state.players){
+    if(p.downed) continue;
+    enemyGrid.query(p.x, p.y, p.r, e=>{
+      if(e.dead) return false;
+      const d = Math.hypot(e.x - p.x, e.y - p.y); if(d >= e.r + p.r) return false;
+      if(enemyDef(e.type).boss){ // bosses survive the collision and throw the player clear
+        const dx = d ? (p.x - e.x)/d : 0, dy = d ? (p.y - e.y)/d : 1, reach = e.r + p.r + BOSS_KNOCKBACK;
+        p.x = Math.max(p.r, Math.min(state.W - p.r, e.x + dx*reach)); p.y = Math.max(p.r, Math.min(state.H - p.r, e.y + dy*reach));
+      } else e.dead = true;
+      hurtPlayer(p);
+      return p.downed;
+    });
+    if(p.downed) continue;
+    enemyBulletGrid.query(p.x, p.y, p.r, b=>{
+      if(b.life < 0 || Math.hypot(b.x - p.x, b.y - p.y) >= b.r + p.r) return false;
+      b.life = -1; hurtPlayer(p);
+      return p.downed;
+    });
+  }
+  for(let i=state.enemies.length-1;i>=0;i--) if(state.enemies[i].dead) enemyPool.release(removeAt(state.enemies, i));
+  for(let i=state.enemyBullets.length-1;i>=0;i--) if(state.enemyBullets[i].life < 0) bulletPool.release(removeAt(state.enemyBullets, i));
+  if(!livingPlayers(state).length){ state.gameOver = true; state.running=false; events.push({ type:'gameOver', score:teamScore(state) }); }
+
+  // particles update
+  stepParticles(state.particles);
+
+  // waves: scripted spawns, breaks and bosses
+  if(!state.gameOver) stepWaves(state, events);
+  return events;
+}
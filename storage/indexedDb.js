@@ -0,0 +1,25 @@
+// storage/indexedDb.js
+// The IndexedDB plumbing shared by the on-device stores (leaderboard/localAdapter.js, profile/store.js):
+// one object store in its own database, opened on first use and created on first open.
+//
+//   const run = indexedDbRunner(indexedDB, 'totalshooter', 'leaderboard');
+//   run('readonly', s=>s.get('entries')).then(...);   // fn gets the object store, returns one request
+
+// options: createObjectStore's (e.g. { keyPath: 'id' }); run(mode, fn) resolves with the request's result
+export function indexedDbRunner(idb, dbName, storeName, options){
+  let dbPromise = null;
+  function open(){
+    if(!dbPromise) dbPromise = new Promise((resolve, reject)=>{
+      const req = idb.open(dbName, 1);
+      req.onupgradeneeded = ()=>{ if(!req.result.objectStoreNames.contains(storeName)) req.result.createObjectStore(storeName, options); };
+      req.onsuccess = ()=>resolve(req.result); req.onerror = ()=>reject(req.error);
+    });
+    return dbPromise;
+  }
+  return function run(mode, fn){
+    return open().then(db=>new Promise((resolve, reject)=>{
+      const req = fn(db.transaction(storeName, mode).objectStore(storeName));
+      req.onsuccess = ()=>resolve(req.result); req.onerror = ()=>reject(req.error);
+    }));
+  };
+}
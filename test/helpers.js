@@ -0,0 +1,32 @@
+// test/helpers.js
+// Shared fixtures for the node:test suites (test/*.test.js): a scripted player that records a whole run,
+// and a hash of the full simulation state for determinism checks.
+
+import { createHash } from 'node:crypto';
+import { startRun, updateGameLogic, simActive, teamScore, TICK_MS } from '../sim.js';
+import { createRecorder, hashReplay } from '../replay.js';
+
+// sweeps its aim round the arena while strafing in a square: scores a little and dies within the first waves
+export function botInput(tick){
+  const leg = (tick>>5)%4;
+  return { fire: true, aimX: 600 + Math.cos(tick/15)*500, aimY: 340 + Math.sin(tick/15)*300, up: leg===0, left: leg===1, down: leg===2, right: leg===3 };
+}
+
+export function stateHash(state){ return createHash('sha256').update(JSON.stringify(state)).digest('hex'); }
+
+// plays `seed` with botInput for every player until game over (or maxTicks), recording the input
+export function playRecordedRun(seed, players=1, maxTicks=Infinity){
+  const state = startRun({ seed, players }), rec = createRecorder(seed, players), events = [];
+  let deathTick = null;
+  while(simActive(state) && state.tick < maxTicks){
+    const tickEvents = updateGameLogic(state, rec.record(state.players.map(()=>botInput(state.tick))));
+    if(tickEvents.some(ev=>ev.type==='gameOver')) deathTick = state.tick;
+    events.push(...tickEvents);
+  }
+  return { state, events, deathTick, replay: rec.toReplay() };
+}
+
+// the leaderboard submission the game would send for a finished run
+export async function submissionFor({ state, deathTick, replay }){
+  return { name: 'tester', score: teamScore(state), wave: state.wave, players: state.players.length, durationMs: deathTick*TICK_MS, deathTick, replayHash: await hashReplay(replay), replay };
+}
@@ -0,0 +1,22 @@
+// test/leaderboard-server.test.js
+// server/leaderboard-server.js: a replay already on the board is refused before it is sent for verification.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLeaderboardServer } from '../server/leaderboard-server.js';
+
+const entry = { name: 'a', score: 100, wave: 1, players: 1, durationMs: 1000, replayHash: 'ab'.repeat(32), replay: {} };
+
+test('a resubmitted replay gets 409 DUPLICATE_RUN without being verified again', async ()=>{
+  let verified = 0;
+  const server = createLeaderboardServer({ verifier: async ()=>{ verified++; return { ok: true }; }, limiter: ()=>0 });
+  await new Promise(resolve=>server.listen(0, '127.0.0.1', resolve));
+  const post = body=>fetch(`http://127.0.0.1:${server.address().port}/api/scores`, { method: 'POST', body: JSON.stringify(body) });
+  try {
+    assert.equal((await post(entry)).status, 201);
+    const again = await post({ ...entry, name: 'b' });
+    assert.equal(again.status, 409);
+    assert.equal((await again.json()).error, 'DUPLICATE_RUN');
+    assert.equal(verified, 1);
+  } finally { server.close(); }
+});
@@ -0,0 +1,30 @@
+// test/leaderboard.test.js
+// leaderboard/localAdapter.js: one run (replayHash) is ranked once, even after it has been pruned off the board.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLocalLeaderboard, memoryStore } from '../leaderboard/localAdapter.js';
+
+const entry = (name, score, n)=>({ name, score, wave: 1, players: 1, durationMs: 1000, replayHash: n.toString(16).padStart(64, '0') });
+
+test('a replayHash already on the board is rejected with DUPLICATE_RUN', async ()=>{
+  const board = createLocalLeaderboard({ store: memoryStore() });
+  await board.submit(entry('a', 100, 1));
+  await assert.rejects(board.submit(entry('b', 100, 1)), { code: 'DUPLICATE_RUN' });
+  assert.deepEqual((await board.top()).map(e=>e.name), ['a']);
+});
+
+test('a replayHash is required', async ()=>{
+  const board = createLocalLeaderboard({ store: memoryStore() });
+  await assert.rejects(board.submit({ ...entry('a', 100, 1), replayHash: undefined }), { code: 'BAD_ENTRY' });
+});
+
+test('a pruned run stays off the boards and still counts as submitted', async ()=>{
+  const store = memoryStore(), board = createLocalLeaderboard({ store, keep: 1 });
+  const old = new Date(Date.now() - 30*86400e3).toISOString();
+  await store.save([{ ...entry('old', 5, 1), date: old, id: 'x' }, { ...entry('best', 50, 2), date: old, id: 'y' }]);
+  await board.submit(entry('new', 10, 3)); // pruning drops 'old': it is below the top 1 and older than this week
+  assert.deepEqual((await board.top('alltime', 10)).map(e=>e.name), ['best', 'new']);
+  assert.equal(await board.rankOf('old'), null);
+  await assert.rejects(board.submit(entry('again', 5, 1)), { code: 'DUPLICATE_RUN' });
+});
@@ -0,0 +1,68 @@
+// test/mapper.test.js
+// input/mapper.js: keyboard, gamepad and queued UI input land in the right player's slot, held actions
+// stay held, and one-shot actions (weapon, buy, ready) act on one tick only.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createInputMapper } from '../input/mapper.js';
+import { normalizeSettings } from '../input/settings.js';
+import { WEAPON_IDS } from '../weapons/registry.js';
+
+const player = { weapon: 'pistol', ammo: { pistol: null, rocket: 3 } };
+const ROCKET = WEAPON_IDS.indexOf('rocket') + 1; // the slot "next weapon" picks after the pistol
+const button = pressed=>({ pressed, value: pressed ? 1 : 0 });
+const pad = ({ axes = [0, 0, 0, 0], down = [] } = {})=>({ axes, buttons: Array.from({ length: 17 }, (_, i)=>button(down.includes(i))) });
+
+test('in co-op each keyboard half drives its own player; solo, both drive P1', ()=>{
+  const m = createInputMapper(normalizeSettings(null));
+  m.setPlayers(2);
+  assert.equal(m.keyDown('KeyW'), true); assert.equal(m.keyDown('ArrowLeft'), true);
+  assert.equal(m.keyDown('KeyZ'), false, 'unbound keys are left to the page');
+  assert.deepEqual([m.read(0, player).up, m.read(0, player).left, m.read(1, player).up, m.read(1, player).left], [true, false, false, true]);
+  m.keyUp('KeyW');
+  assert.equal(m.read(0, player).up, false);
+  m.setPlayers(1); m.keyDown('ArrowUp');
+  assert.equal(m.read(0, player).up, true);
+});
+
+test('one-shot actions act once: on the next read, then not after endTick, and not again on key repeat', ()=>{
+  const m = createInputMapper(normalizeSettings(null));
+  m.keyDown('KeyQ');
+  assert.equal(m.read(0, player).weapon, ROCKET);
+  m.endTick();
+  m.keyDown('KeyQ', true);
+  assert.equal(m.read(0, player).weapon, 0);
+  m.queue(0, 'buy', 3); m.keyDown('KeyR');
+  assert.deepEqual([m.read(0, player).buy, m.read(0, player).ready], [3, true]);
+  m.endTick();
+  assert.deepEqual([m.read(0, player).buy, m.read(0, player).ready], [0, false]);
+});
+
+test('app actions go to onAppAction, not into the input', ()=>{
+  const calls = [], m = createInputMapper(normalizeSettings(null), { onAppAction: (id, slot)=>calls.push([id, slot]) });
+  m.keyDown('KeyP'); m.keyDown('KeyP', true);
+  assert.deepEqual(calls, [['pause', 0]]);
+  assert.equal('pause' in m.read(0, player), false);
+});
+
+test('gamepads: the first is P2\'s in co-op, sticks get the deadzone, buttons press on the edge only', ()=>{
+  const settings = normalizeSettings(null), m = createInputMapper(settings);
+  m.setPlayers(2);
+  m.poll([pad({ axes: [0, 1, 0.1, 0.1], down: [settings.gamepad.fire] })]);
+  const p2 = m.read(1, player);
+  assert.equal(p2.fire, true); assert.equal(m.read(0, player).fire, false);
+  assert.deepEqual([p2.joyX, p2.joyY], [0, 1]);
+  assert.deepEqual([p2.aimDirX, p2.aimDirY], [0, 1], 'a right stick inside the deadzone leaves aim on the way P2 is moving');
+  const rb = pad({ down: [settings.gamepad.nextWeapon] });
+  m.poll([rb]); m.poll([rb]);
+  assert.equal(m.read(1, player).weapon, ROCKET);
+  m.endTick(); m.poll([rb]);
+  assert.equal(m.read(1, player).weapon, 0, 'a held button does not press again');
+});
+
+test('releaseAll drops held keys and pointer fire when the window loses focus', ()=>{
+  const m = createInputMapper(normalizeSettings(null));
+  m.keyDown('KeyD'); m.pointerButton(true);
+  m.releaseAll();
+  assert.deepEqual([m.read(0, player).right, m.read(0, player).fire], [false, false]);
+});
@@ -0,0 +1,59 @@
+// test/physics.test.js
+// physics/pool.js and physics/grid.js: swap-remove keeps every other element, pools hand back what was
+// released, and grid lookups find what a brute-force distance check finds, in a repeatable order.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPool, removeAt } from '../physics/pool.js';
+import { createGrid } from '../physics/grid.js';
+
+test('removeAt swaps the last element into the gap and returns the removed one', ()=>{
+  const list = ['a', 'b', 'c', 'd'];
+  assert.equal(removeAt(list, 1), 'b');
+  assert.deepEqual(list, ['a', 'd', 'c']);
+  assert.equal(removeAt(list, 2), 'c', 'removing the last element just pops it');
+  assert.deepEqual(list, ['a', 'd']);
+  assert.equal(removeAt(list, 0), 'a'); assert.equal(removeAt(list, 0), 'd');
+  assert.deepEqual(list, []);
+});
+
+test('removeAt while looping backwards visits every element once', ()=>{
+  const list = Array.from({ length: 20 }, (_, i)=>i), seen = [];
+  for(let i=list.length-1;i>=0;i--){ seen.push(list[i]); if(list[i] % 3===0) removeAt(list, i); }
+  assert.deepEqual(seen.slice().sort((a,b)=>a-b), Array.from({ length: 20 }, (_, i)=>i));
+  assert.deepEqual(list.slice().sort((a,b)=>a-b), Array.from({ length: 20 }, (_, i)=>i).filter(i=>i % 3));
+});
+
+test('a pool reuses released objects before creating new ones', ()=>{
+  let made = 0; const pool = createPool(()=>({ n: ++made }));
+  const a = pool.acquire(), b = pool.acquire();
+  pool.release(a);
+  assert.equal(pool.free, 1);
+  assert.equal(pool.acquire(), a);
+  assert.notEqual(pool.acquire(), b);
+  assert.equal(made, 3);
+});
+
+// a fixed scatter of circles over a 1200x680 arena and a bit beyond it
+function scatter(n){ let s = 7; const rnd = ()=>(s = (s*1103515245 + 12345) % 2**31)/2**31; return Array.from({ length: n }, (_, i)=>({ i, x: rnd()*1400 - 100, y: rnd()*880 - 100, r: 4 + rnd()*40, vx: rnd()*1600 - 800, vy: rnd()*1600 - 800 })); }
+
+test('query finds every entity a brute-force check finds, in the same order each time', ()=>{
+  const list = scatter(400), grid = createGrid(64);
+  grid.build(1200, 680, list);
+  for(const [x, y, r] of [[600, 340, 50], [0, 0, 120], [1190, 670, 10], [-80, 300, 30]]){
+    const found = []; grid.query(x, y, r, o=>{ if(Math.hypot(o.x - x, o.y - y) < o.r + r) found.push(o.i); });
+    const brute = list.filter(o=>Math.hypot(o.x - x, o.y - y) < o.r + r).map(o=>o.i);
+    assert.deepEqual(found.slice().sort((a,b)=>a-b), brute);
+    const again = []; grid.query(x, y, r, o=>{ if(Math.hypot(o.x - x, o.y - y) < o.r + r) again.push(o.i); });
+    assert.deepEqual(again, found);
+  }
+});
+
+test('buildSwept lists a mover in the cells along its path (within the pad), once each', ()=>{
+  const grid = createGrid(64), b = { x: 100, y: 100, vx: 1000, vy: 0, r: 4 };
+  grid.buildSwept(1200, 680, [b], 0.4, 20);
+  const at = (x, y)=>{ let n = 0; grid.at(x, y, o=>{ n++; }); return n; };
+  assert.deepEqual([at(100, 100), at(300, 110), at(500, 120)], [1, 1, 1]);
+  assert.equal(at(700, 100), 0, 'past the end of the sweep');
+  assert.equal(at(300, 300), 0, 'far off the line');
+});
@@ -0,0 +1,18 @@
+// test/profile.test.js
+// profile/profile.js: stored or imported history comes back in the shape the profile screen renders.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { newProfile, normalizeProfile } from '../profile/profile.js';
+
+const run = { at: '2026-01-02T03:04:05.000Z', mode: 'solo', seed: 7, wave: 3, score: 120, teamScore: 120, kills: 9, shotsFired: 40, shotsHit: 20, damageTaken: 2, seconds: 95 };
+
+test('history runs with a bad mode or date are dropped', ()=>{
+  const history = [run, { ...run, mode: { x: 1 } }, { ...run, mode: 'ranked' }, { ...run, at: ['x'] }, { ...run, at: 'not a date' }, null, 5];
+  assert.deepEqual(normalizeProfile({ ...newProfile('a'), history }).history, [run]);
+});
+
+test('non-numeric history fields become 0', ()=>{
+  const [r] = normalizeProfile({ ...newProfile('a'), history: [{ ...run, score: { n: 1 }, wave: [3], kills: '9', seconds: -1, extra: 'x' }] }).history;
+  assert.deepEqual(r, { ...run, score: 0, wave: 0, kills: 0, seconds: 0 });
+});
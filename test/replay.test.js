@@ -0,0 +1,34 @@
+// test/replay.test.js
+// replay.js: the replay hash is the same with and without WebCrypto (Node 18 modules and plain-http pages
+// have no crypto.subtle), and files from older versions decode to the input they recorded.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { hashReplay, serializeReplay, parseReplay, decodeInputs, REPLAY_FORMAT } from '../replay.js';
+import { playRecordedRun } from './helpers.js';
+
+async function withoutSubtle(fn){
+  const saved = Object.getOwnPropertyDescriptor(globalThis, 'crypto');
+  Object.defineProperty(globalThis, 'crypto', { value: undefined, configurable: true });
+  try { return await fn(); } finally { if(saved) Object.defineProperty(globalThis, 'crypto', saved); else delete globalThis.crypto; }
+}
+
+test('hashReplay without crypto.subtle gives the SHA-256 of the serialized replay', async ()=>{
+  const { replay } = playRecordedRun(5, 1, 600);
+  const sha = createHash('sha256').update(serializeReplay(replay)).digest('hex');
+  assert.equal(await withoutSubtle(()=>hashReplay(replay)), sha);
+  // padding edge cases: messages that end right around a 64-byte block boundary
+  for(const n of [0, 1, 46, 47, 48, 55, 56, 63, 64, 65, 119, 120]){
+    const r = { s: 'x'.repeat(n) };
+    assert.equal(await withoutSubtle(()=>hashReplay(r)), createHash('sha256').update(serializeReplay(r)).digest('hex'), `length ${n}`);
+  }
+});
+
+test('a v2 two-player file decodes each player from its own seven values', ()=>{
+  const p0 = [1, 100, 200, 0.5, 0, 1, 0], p1 = [16, 300, 400, 0, -0.5, 0, 1];
+  const replay = parseReplay({ format: REPLAY_FORMAT, v: 2, simVersion: 1, seed: 3, players: 2, frames: [[2, ...p0, ...p1]] });
+  const [a, b] = decodeInputs(replay)[1];
+  assert.deepEqual([a.up, a.fire, a.aimX, a.aimY, a.joyX, a.aimDirX, a.buy, a.weapon], [true, false, 100, 200, 0.5, 1, 0, 0]);
+  assert.deepEqual([b.up, b.fire, b.aimX, b.aimY, b.joyY, b.aimDirY, b.buy, b.weapon], [false, true, 300, 400, -0.5, 1, 0, 0]);
+});
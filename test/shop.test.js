@@ -0,0 +1,51 @@
+// test/shop.test.js
+// weapons/shop.js and the sim's `buy` input: purchases cost credits (never score), only happen between
+// waves, and refuse anything the player can't have.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startRun, updateGameLogic } from '../sim.js';
+import { WEAPONS, SHOP_ITEMS, shopItem } from '../weapons/registry.js';
+import { applyItem, buyBlocker, itemPrice } from '../weapons/shop.js';
+
+const slotOf = item=>SHOP_ITEMS.indexOf(item) + 1; // `buy` inputs are 1-based shop indices
+const rocket = SHOP_ITEMS.find(i=>i.weapon==='rocket');
+
+test('buying a weapon between waves takes credits, not score, and equips it with full ammo', ()=>{
+  const state = startRun({ seed: 1 }), p = state.players[0];
+  p.credits = rocket.price + 10; p.score = 50;
+  const events = updateGameLogic(state, [{ buy: slotOf(rocket) }]);
+  assert.deepEqual(events.filter(ev=>ev.type==='buy'), [{ type:'buy', player:0, item:rocket.id }]);
+  assert.deepEqual([p.credits, p.score, p.weapon, p.ammo.rocket], [10, 50, 'rocket', WEAPONS.rocket.ammo]);
+});
+
+test('nothing can be bought while a wave is on', ()=>{
+  const state = startRun({ seed: 1 }), p = state.players[0];
+  updateGameLogic(state, [{ ready: true }]);
+  assert.equal(state.breakTimer, 0);
+  p.credits = 10000;
+  assert.ok(!updateGameLogic(state, [{ buy: slotOf(rocket) }]).some(ev=>ev.type==='buy'));
+  assert.equal(p.credits, 10000);
+});
+
+test('refused purchases change nothing and say why', ()=>{
+  const p = startRun({ seed: 1 }).players[0], heal = shopItem('heal'), rate = shopItem('rate');
+  p.credits = rocket.price - 1;
+  assert.equal(buyBlocker(p, rocket), '크레딧 부족');
+  assert.equal(applyItem(p, rocket), false);
+  assert.equal(p.credits, rocket.price - 1);
+  assert.equal(buyBlocker(p, heal), '체력 가득');
+  p.credits = 100000; p.upgrades.rate = rate.max;
+  assert.equal(buyBlocker(p, rate), '최대');
+  p.ammo.rocket = 1;
+  assert.equal(buyBlocker(p, rocket), '보유 중');
+});
+
+test('upgrades get dearer with each level and take effect', ()=>{
+  const p = startRun({ seed: 1 }).players[0], speed = shopItem('speed');
+  p.credits = 100000;
+  const first = itemPrice(p, speed);
+  assert.equal(applyItem(p, speed), true);
+  assert.equal(itemPrice(p, speed), first*2);
+  assert.equal(p.speed, p.baseSpeed*(1 + speed.amount));
+});
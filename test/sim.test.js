@@ -0,0 +1,124 @@
+// test/sim.test.js
+// Determinism of sim.js (same seed + same input -> same game) and the rules the rest of the game builds on:
+// waves advancing, bullet and contact collisions, the score they award, and weapon fire rates.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { startRun, updateGameLogic, makeEnemy, spawnBullet, SCORE_TABLE, REVIVE_TIME, TICK_RATE } from '../sim.js';
+import { decodeInputs, parseReplay, serializeReplay } from '../replay.js';
+import { WEAPONS, WEAPON_IDS } from '../weapons/registry.js';
+import { playRecordedRun, stateHash } from './helpers.js';
+
+// re-plays a recording from its seed, hashing the state every `every` ticks
+function replayHashes(replay, every=60){
+  const state = startRun({ seed: replay.seed, players: replay.players }), hashes = [];
+  for(const input of decodeInputs(replay)){ updateGameLogic(state, input); if(state.tick % every===0) hashes.push(stateHash(state)); }
+  return { state, hashes };
+}
+
+// a running game with the arena to ourselves: wave 1 under way, nothing queued or alive
+function quietRun(players=1){
+  const state = startRun({ seed: 1, players });
+  updateGameLogic(state, state.players.map(()=>({ ready: true })));
+  state.waveQueue = []; state.enemies.length = 0;
+  return state;
+}
+const idle = state=>state.players.map(()=>({}));
+
+test('the same seed and recorded input replay to the same state, tick for tick', ()=>{
+  for(const players of [1, 2]){
+    const run = playRecordedRun(11 + players, players);
+    assert.ok(run.deathTick, 'the recorded run ends');
+    const replay = parseReplay(serializeReplay(run.replay));
+    const a = replayHashes(replay), b = replayHashes(replay);
+    assert.deepEqual(a.hashes, b.hashes);
+    assert.equal(stateHash(a.state), stateHash(run.state), 'replay ends where the live run ended');
+  }
+});
+
+test('different seeds play out differently', ()=>{
+  assert.notEqual(stateHash(playRecordedRun(1, 1, 600).state), stateHash(playRecordedRun(2, 1, 600).state));
+});
+
+test('waves start when everyone is ready, clear when nothing is left, and the next one follows the break', ()=>{
+  const state = startRun({ seed: 3 });
+  const first = updateGameLogic(state, [{ ready: true }]);
+  assert.ok(first.some(ev=>ev.type==='wave' && ev.wave===1));
+  assert.ok(state.waveQueue.length > 0, 'wave 1 has enemies queued');
+
+  state.waveQueue = []; state.enemies.length = 0;
+  const cleared = updateGameLogic(state, [{}]);
+  assert.ok(cleared.some(ev=>ev.type==='waveClear' && ev.wave===1));
+  assert.equal(state.wave, 2);
+  assert.ok(state.breakTimer > 0, 'a break follows the cleared wave');
+
+  const next = updateGameLogic(state, [{ ready: true }]);
+  assert.ok(next.some(ev=>ev.type==='wave' && ev.wave===2));
+  assert.equal(state.breakTimer, 0);
+});
+
+test('a bullet that reaches an enemy hits it and scores for its shooter', ()=>{
+  const state = quietRun(), p = state.players[0];
+  const e = makeEnemy(state, 'big', 600, 120);
+  const b = spawnBullet(state, p, 'pistol', 600, 130, -Math.PI/2);
+  const events = updateGameLogic(state, idle(state));
+  assert.deepEqual(events.find(ev=>ev.type==='hit'), { type:'hit', enemy:'big', player:0, bullet:b.id, x:b.x, y:b.y });
+  assert.ok(events.some(ev=>ev.type==='score' && ev.player===0 && ev.amount===SCORE_TABLE.hit));
+  assert.equal(p.score, SCORE_TABLE.hit);
+  assert.ok(e.hp < e.maxHp);
+});
+
+test('a killing hit removes the enemy and awards its kill score and credits', ()=>{
+  const state = quietRun(), p = state.players[0];
+  const e = makeEnemy(state, 'big', 600, 120); e.hp = 1;
+  spawnBullet(state, p, 'pistol', 600, 130, -Math.PI/2);
+  const events = updateGameLogic(state, idle(state));
+  assert.ok(events.some(ev=>ev.type==='kill' && ev.enemy==='big' && ev.player===0));
+  assert.ok(events.some(ev=>ev.type==='score' && ev.amount===SCORE_TABLE.kill.big));
+  assert.equal(p.score, SCORE_TABLE.kill.big);
+  assert.equal(p.credits, SCORE_TABLE.kill.big);
+  assert.ok(!state.enemies.includes(e));
+});
+
+test('an enemy that rams a player dies and costs the player a hit point', ()=>{
+  const state = quietRun(), p = state.players[0];
+  const e = makeEnemy(state, 'big', p.x, p.y);
+  const events = updateGameLogic(state, idle(state));
+  assert.ok(events.some(ev=>ev.type==='hurt' && ev.player===0 && ev.hp===p.maxHp-1));
+  assert.equal(p.hp, p.maxHp-1);
+  assert.ok(!state.enemies.includes(e));
+  assert.equal(p.score, 0, 'ramming scores nothing');
+});
+
+test('the run ends once no player is left standing', ()=>{
+  const state = quietRun(2);
+  for(const p of state.players) p.hp = 1;
+  for(const p of state.players) makeEnemy(state, 'big', p.x, p.y);
+  const events = updateGameLogic(state, idle(state));
+  assert.equal(events.filter(ev=>ev.type==='down').length, 2);
+  assert.ok(events.some(ev=>ev.type==='gameOver'));
+  assert.equal(state.gameOver, true);
+  assert.deepEqual(updateGameLogic(state, idle(state)), [], 'a finished run no longer steps');
+});
+
+test('a downed teammate is revived by standing next to them, but one who left the run is not', ()=>{
+  const state = quietRun(2), [a, b] = state.players;
+  b.hp = 0; b.downed = true; b.x = a.x + a.r + b.r + 10; b.y = a.y;
+  const revived = [];
+  for(let t=0;t<REVIVE_TIME*TICK_RATE + 1 && !revived.length;t++) revived.push(...updateGameLogic(state, idle(state)).filter(ev=>ev.type==='revive'));
+  assert.deepEqual(revived, [{ type:'revive', player:1, by:[0] }]);
+
+  b.hp = 0; b.downed = true; b.left = true;
+  for(let t=0;t<REVIVE_TIME*TICK_RATE*2;t++) assert.ok(!updateGameLogic(state, idle(state)).some(ev=>ev.type==='revive'));
+  assert.equal(b.downed, true);
+});
+
+test('held fire shoots at each weapon\'s listed rate, not rounded to whole ticks', ()=>{
+  for(const id of WEAPON_IDS){
+    const state = quietRun(), p = state.players[0];
+    p.weapon = id; p.ammo[id] = null; p.hp = Infinity;
+    let shots = 0;
+    for(let t=0;t<10*TICK_RATE;t++) shots += updateGameLogic(state, [{ fire: true, aimX: p.x, aimY: 0 }]).filter(ev=>ev.type==='shot').length;
+    assert.ok(Math.abs(shots/10 - WEAPONS[id].fireRate) <= 0.15, `${id}: ${shots/10}/s, listed ${WEAPONS[id].fireRate}/s`);
+  }
+});
@@ -0,0 +1,69 @@
+// test/verify.test.js
+// leaderboard/verify.js: an honest submission passes, and every way of misreporting a run is caught
+// with its own reason code. Each reason has its own cases in CASES, and one test checks that none is missing.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TICK_MS, SIM_VERSION } from '../sim.js';
+import { hashReplay, createRecorder } from '../replay.js';
+import { verifyRun, REJECT_REASONS, MAX_RUN_TICKS } from '../leaderboard/verify.js';
+import { playRecordedRun, submissionFor, botInput } from './helpers.js';
+
+const run = playRecordedRun(11);
+const honest = await submissionFor(run);
+
+// a submission carrying a changed copy of the replay (with a matching hash, so the change itself is what's judged)
+async function withReplay(change, claims={}){
+  const replay = structuredClone(honest.replay); change(replay);
+  return { ...honest, replay, replayHash: await hashReplay(replay), ...claims };
+}
+
+async function rejects(sub, reason){
+  const res = await verifyRun(sub);
+  assert.equal(res.ok, false, `expected ${reason}`);
+  assert.equal(res.reason, reason, res.message);
+  assert.ok(res.message.startsWith(REJECT_REASONS[reason]));
+}
+
+test('an honest run is accepted with the replayed result', async ()=>{
+  assert.deepEqual(await verifyRun(honest), { ok: true, result: { score: honest.score, wave: honest.wave, deathTick: run.deathTick } });
+  assert.ok(honest.score > 0, 'the recorded run scores (SCORE_MISMATCH claims one point fewer)');
+});
+
+// reason code -> { what the submission gets wrong: () => that submission }
+const CASES = {
+  REPLAY_MISSING: { 'no replay': ()=>({ ...honest, replay: undefined }) },
+  REPLAY_INVALID: {
+    'not a replay file': ()=>({ ...honest, replay: { format: 'something-else' } }),
+    'a fractional repeat count': ()=>({ ...honest, replay: { ...honest.replay, frames: [[1.5, ...honest.replay.frames[0].slice(1)]] } })
+  },
+  VERSION_MISMATCH: { 'recorded by an older sim': ()=>withReplay(r=>{ r.simVersion = SIM_VERSION - 1; }) },
+  HASH_MISSING: { 'no replayHash': ()=>({ ...honest, replayHash: undefined }) },
+  HASH_MISMATCH: { 'a replayHash of something else': ()=>({ ...honest, replayHash: 'ab'.repeat(32) }) },
+  PLAYERS_MISMATCH: { 'two players claimed for a solo replay': ()=>({ ...honest, players: 2 }) },
+  RUN_TOO_LONG: { 'past the maximum length': ()=>withReplay(r=>{ r.frames[r.frames.length-1][0] += MAX_RUN_TICKS; }, { deathTick: run.deathTick + MAX_RUN_TICKS }) },
+  DURATION_MISMATCH: { 'a second longer than the replay': ()=>({ ...honest, durationMs: honest.durationMs + 1000 }) },
+  SCORE_RATE_EXCEEDED: { 'more than the scoring table allows': ()=>({ ...honest, score: honest.score * 1000 + 100000 }) },
+  NOT_FINISHED: {
+    'the recording stops while the run is still going': async ()=>{
+      const rec = createRecorder(honest.replay.seed, 1);
+      for(let t=0;t<120;t++) rec.record([botInput(t)]);
+      const cut = rec.toReplay();
+      return { ...honest, score: 0, wave: 1, durationMs: 120*TICK_MS, deathTick: 120, replay: cut, replayHash: await hashReplay(cut) };
+    }
+  },
+  DEATH_TICK_MISMATCH: {
+    'a deathTick other than the replay length': ()=>({ ...honest, deathTick: run.deathTick - 1 }),
+    'extra input after the real end (over sooner than claimed)': ()=>withReplay(r=>{ r.frames[r.frames.length-1][0] += 90; }, { deathTick: run.deathTick + 90, durationMs: (run.deathTick + 90)*TICK_MS })
+  },
+  SCORE_MISMATCH: { 'a point fewer than scored': ()=>({ ...honest, score: honest.score - 1 }) },
+  WAVE_MISMATCH: { 'a wave further than reached': ()=>({ ...honest, wave: honest.wave + 1 }) }
+};
+
+for(const [reason, cases] of Object.entries(CASES)){
+  for(const [what, make] of Object.entries(cases)) test(`${reason}: ${what}`, async ()=>{ await rejects(await make(), reason); });
+}
+
+test('every reject reason has a case', ()=>{
+  assert.deepEqual(Object.keys(CASES).sort(), Object.keys(REJECT_REASONS).sort());
+});
@@ -0,0 +1,58 @@
+// waves/director.js
+// Wave plans: the authored waves from waves.json, then procedural endless waves, plus a boss every
+// `bossEvery` waves. Only plans (what spawns, when and where) — sim.js runs the waves and spawns the enemies.
+//
+// group: { at (seconds into the wave), type, count, edge: left|right|top|bottom|random, formation: line|cluster|v|surround }
+
+import WAVES from './waves.json' with { type: 'json' };
+import { ENEMY_TYPES, enemyDef, pickEnemyType } from '../enemies/registry.js';
+
+export const EDGES = ['left','right','top','bottom'];
+export const FORMATIONS = ['line','cluster','v','surround'];
+export const WAVE_SCRIPT = WAVES;
+const OFFSCREEN = 40;   // px outside the arena where enemies appear
+const SPACING = 56;     // px between enemies in a line / v
+
+WAVES.waves.forEach((w,i)=>w.groups.forEach(g=>{
+  if(!ENEMY_TYPES[g.type]) throw new Error(`waves.json: wave ${i+1} spawns unknown type "${g.type}"`);
+  if(!FORMATIONS.includes(g.formation)) throw new Error(`waves.json: wave ${i+1} has unknown formation "${g.formation}"`);
+  if(g.formation!=='surround' && g.edge!=='random' && !EDGES.includes(g.edge)) throw new Error(`waves.json: wave ${i+1} has unknown edge "${g.edge}"`);
+}));
+for(const type of WAVES.bosses) if(!enemyDef(type).boss) throw new Error(`waves.json: "${type}" is not a boss`);
+
+// Boss type that opens `wave`, or null.
+export function bossForWave(wave){
+  if(wave % WAVES.bossEvery) return null;
+  return WAVES.bosses[(wave/WAVES.bossEvery - 1) % WAVES.bosses.length];
+}
+
+// Groups of `wave`, sorted by `at`. rnd: the game's seeded RNG (procedural waves are rolled from it).
+export function planWave(wave, rnd){
+  const authored = WAVES.waves[wave-1];
+  if(authored) return authored.groups.map(g=>({ ...g })).sort((a,b)=>a.at - b.at);
+  const e = WAVES.endless;
+  const n = Math.min(e.maxGroups, e.groups + Math.floor(wave*e.groupsPerWave));
+  const gap = Math.max(e.minGap, e.gap - wave*e.gapPerWave);
+  const groups = [];
+  for(let k=0;k<n;k++){
+    const def = enemyDef(pickEnemyType(wave, rnd()));
+    const count = def.group > 1 ? def.group + Math.floor(wave/5) : 1 + Math.floor(rnd()*Math.min(6, 1 + wave/3));
+    groups.push({ at: k*gap, type: def.type, count, edge: EDGES[Math.floor(rnd()*4)], formation: e.formations[Math.floor(rnd()*e.formations.length)] });
+  }
+  return groups;
+}
+
+// Spawn points for a group, just outside the arena.
+export function formationPoints(state, g, rnd){
+  const { W, H } = state;
+  const place = (edge, along, out)=>edge==='left' ? { x: -OFFSCREEN - out, y: along } : edge==='right' ? { x: W + OFFSCREEN + out, y: along } : edge==='top' ? { x: along, y: -OFFSCREEN - out } : { x: along, y: H + OFFSCREEN + out };
+  if(g.formation==='surround') return Array.from({ length: g.count }, (_,k)=>{ const edge = EDGES[k % 4]; return place(edge, rnd()*(edge==='left' || edge==='right' ? H : W), 0); });
+  const edge = g.edge==='random' ? EDGES[Math.floor(rnd()*4)] : g.edge;
+  const len = edge==='left' || edge==='right' ? H : W;
+  const centre = len*(0.25 + rnd()*0.5), mid = (g.count-1)/2;
+  return Array.from({ length: g.count }, (_,k)=>{
+    if(g.formation==='cluster') return place(edge, centre + (rnd()-0.5)*enemyDef(g.type).r*6, rnd()*enemyDef(g.type).r*3);
+    const along = Math.max(20, Math.min(len-20, centre + (k - mid)*SPACING));
+    return place(edge, along, g.formation==='v' ? Math.abs(k - mid)*SPACING*0.7 : 0); // v: the middle leads
+  });
+}
@@ -0,0 +1,30 @@
+// weapons/registry.js
+// Guns from weapons.json, with defaults filled in and references checked at load time.
+//
+// weapon: { id, name, fireRate (shots/s), pellets (projectiles per shot), spread (radians the pellets fan over),
+//           jitter (random radians per pellet), damage, speed (px/s), radius, life (s), ammo (shots per purchase; null = unlimited),
+//           price (0 = everyone starts with it), pierce (extra enemies a projectile passes through), splash: { radius, damage },
+//           color, sound: { wave, freq, to, dur, vol, noise, ... } (synthesized by audio/engine.js, same fields as audio/sounds.json) }
+// The order in weapons.json is the weapon-slot order (number keys 1..n).
+
+import DATA from './weapons.json' with { type: 'json' };
+
+const DEFAULTS = { pellets: 1, spread: 0, jitter: 0, ammo: null, price: 0, pierce: 0, splash: null };
+const SHOP_KINDS = ['heal','ammo','damage','rate','speed'];
+
+export const WEAPONS = Object.freeze(Object.fromEntries(Object.entries(DATA.weapons).map(([id, def])=>[id, Object.freeze({ ...DEFAULTS, ...def, id })])));
+export const WEAPON_IDS = Object.keys(WEAPONS);
+export const STARTING_WEAPON = WEAPON_IDS.find(id=>!WEAPONS[id].price);
+if(!STARTING_WEAPON) throw new Error('weapons.json: needs a free starting weapon (price 0)');
+
+// Everything the shop sells: every weapon that costs something, then the items from weapons.json.
+// Inputs refer to an item by its 1-based index in this list.
+export const SHOP_ITEMS = Object.freeze([
+  ...WEAPON_IDS.filter(id=>WEAPONS[id].price).map(id=>Object.freeze({ id:`weapon:${id}`, name: WEAPONS[id].name, kind:'weapon', weapon:id, price: WEAPONS[id].price })),
+  ...DATA.shop.map(item=>{ if(!SHOP_KINDS.includes(item.kind)) throw new Error(`weapons.json: shop item ${item.id} has unknown kind "${item.kind}"`); return Object.freeze({ ...item }); })
+]);
+
+export function shopItem(kind){ return SHOP_ITEMS.find(i=>i.kind===kind); }
+
+// Seconds between shots of `w` for player p (fire-rate upgrades included).
+export function fireInterval(p, w){ return 1/(w.fireRate*(1 + p.upgrades.rate*shopItem('rate').amount)); }
@@ -0,0 +1,36 @@
+// weapons/shop.js
+// What a player can buy between waves and what it does to them. Credits come from kills and are
+// separate from score, so shopping never costs leaderboard points. The sim applies purchases (they
+// arrive as a `buy` input, so replays and the online server see the same ones); the UI uses
+// itemPrice/buyBlocker to show prices and grey out buttons.
+
+import { WEAPONS, shopItem } from './registry.js';
+
+// Price of the next purchase of `item` — upgrades get dearer with every level.
+export function itemPrice(p, item){
+  return item.max ? item.price*(p.upgrades[item.kind] + 1) : item.price;
+}
+
+// Why p can't buy `item` right now (a short Korean label), or null if they can.
+export function buyBlocker(p, item){
+  if(item.kind==='weapon' && item.weapon in p.ammo) return '보유 중';
+  if(item.kind==='heal' && p.hp >= p.maxHp) return '체력 가득';
+  if(item.kind==='ammo'){ const w = WEAPONS[p.weapon]; if(w.ammo===null || p.ammo[p.weapon] >= w.ammo) return '탄약 가득'; }
+  if(item.max && p.upgrades[item.kind] >= item.max) return '최대';
+  if(p.credits < itemPrice(p, item)) return '크레딧 부족';
+  return null;
+}
+
+// Takes the credits and applies the item. Returns false (and changes nothing) if p can't buy it.
+export function applyItem(p, item){
+  if(buyBlocker(p, item)) return false;
+  p.credits -= itemPrice(p, item);
+  if(item.kind==='weapon'){ p.ammo[item.weapon] = WEAPONS[item.weapon].ammo; p.weapon = item.weapon; }
+  else if(item.kind==='heal') p.hp = p.maxHp;
+  else if(item.kind==='ammo') p.ammo[p.weapon] = WEAPONS[p.weapon].ammo;
+  else {
+    p.upgrades[item.kind]++;
+    if(item.kind==='speed') p.speed = p.baseSpeed*(1 + p.upgrades.speed*shopItem('speed').amount);
+  }
+  return true;
+}